@@ -0,0 +1,145 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { compareBy, processQueue } = require('./utils.js');
+
+/**
+ * Actions that change the content bus, and are recorded in the audit log.
+ */
+const AUDITED_ACTIONS = [
+  'update', 'publish', 'unpublish', 'rollback', 'schedule', 'cancel-schedule', 'migrate',
+];
+
+/**
+ * Default time range in milliseconds the audit log is read for.
+ */
+const DEFAULT_AUDIT_RANGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Maximum time range in milliseconds the audit log can be read for at once.
+ */
+const MAX_AUDIT_RANGE = 31 * 24 * 60 * 60 * 1000;
+
+/**
+ * Length of the time prefix of an audit entry name, e.g. `2021-05-07T180319.000Z`.
+ */
+const TIME_LENGTH = 22;
+
+/**
+ * Return the folder containing the audit entries of a day.
+ *
+ * @param {string} contentBusId content bus id
+ * @param {Date} date date of the entries
+ * @returns {string} folder key, ending with a slash
+ */
+function getAuditFolder(contentBusId, date) {
+  return `${contentBusId}/.audit/${date.toISOString().substring(0, 10)}/`;
+}
+
+/**
+ * Return the time prefix of an audit entry name, so that names sort chronologically.
+ *
+ * @param {Date} date time of the entry
+ * @returns {string} time prefix
+ */
+function formatTime(date) {
+  return date.toISOString().replace(/:/g, '');
+}
+
+/**
+ * Append an entry to the audit log. Every entry is stored as an object of its own,
+ * below a folder per day, e.g. `<contentBusId>/.audit/2021-05-07/2021-05-07T180319.000Z-<id>.json`.
+ *
+ * @param {object} storage content storage
+ * @param {string} contentBusId content bus id
+ * @param {object} entry audit entry
+ * @param {string} entry.timestamp time of the operation, in ISO format
+ * @returns {string} key of the stored entry
+ */
+async function writeAuditEntry(storage, contentBusId, entry) {
+  const date = new Date(entry.timestamp);
+  const id = crypto.randomBytes(4).toString('hex');
+  const key = `${getAuditFolder(contentBusId, date)}${formatTime(date)}-${id}.json`;
+  await storage.storeData(key, Buffer.from(JSON.stringify(entry)), 'application/json');
+  return key;
+}
+
+/**
+ * Tells whether an entry concerns a path. A path ending with a slash denotes a folder,
+ * matching all entries below it.
+ *
+ * @param {object} entry audit entry
+ * @param {string} path path or folder
+ * @returns {boolean} true if the entry matches
+ */
+function matchesPath(entry, path) {
+  return path.endsWith('/') ? entry.path.startsWith(path) : entry.path === path;
+}
+
+/**
+ * Read the audit log in a time range, filtered by path.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage content storage
+ * @param {string}   opts.contentBusId content bus id
+ * @param {string}   opts.path document path, or folder if it ends with a slash
+ * @param {Date}     opts.from start of the time range
+ * @param {Date}     opts.to end of the time range
+ * @param {number}   opts.concurrency number of entries loaded in parallel
+ *
+ * @returns {object} object containing the matching `entries`, oldest first
+ */
+async function readAuditLog(opts) {
+  const {
+    storage, contentBusId, path, from, to, concurrency,
+  } = opts;
+
+  const days = [];
+  const day = new Date(from.toISOString().substring(0, 10));
+  while (day <= to) {
+    days.push(new Date(day));
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  const start = formatTime(from);
+  const end = formatTime(to);
+  const lists = await processQueue(days, concurrency, async (date) => {
+    const folder = getAuditFolder(contentBusId, date);
+    const objects = await storage.list(folder);
+    return objects.filter(({ key }) => {
+      const time = key.substring(folder.length, folder.length + TIME_LENGTH);
+      return time >= start && time <= end;
+    });
+  });
+  const objects = [].concat(...lists);
+
+  const entries = await processQueue(objects, concurrency, async ({ key }) => {
+    const data = await storage.load(key);
+    return JSON.parse(data.toString());
+  });
+  return {
+    entries: entries
+      .filter((entry) => matchesPath(entry, path))
+      .sort(compareBy('timestamp')),
+  };
+}
+
+module.exports = {
+  AUDITED_ACTIONS,
+  DEFAULT_AUDIT_RANGE,
+  MAX_AUDIT_RANGE,
+  writeAuditEntry,
+  readAuditLog,
+};
@@ -0,0 +1,201 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { createErrorResponse, signPayload } = require('./utils.js');
+
+/**
+ * Maximum time in milliseconds a signed request is accepted before or after
+ * the time it was signed at.
+ */
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+/**
+ * Parse the configured credentials. Every credential has an `id`, either a `secret`
+ * for signed requests or a `token` for bearer authorization, and the `repos` it may
+ * access, given as `owner/repo` patterns where `*` matches any owner or repository.
+ *
+ * @param {string} [value] credentials in JSON format
+ * @returns {object[]} credentials or null if none are configured
+ */
+function parseCredentials(value) {
+  if (!value) {
+    return null;
+  }
+  let credentials;
+  try {
+    credentials = JSON.parse(value);
+  } catch (e) {
+    credentials = null;
+  }
+  const isValid = (c) => c && c.id && (c.secret || c.token) && Array.isArray(c.repos);
+  if (!Array.isArray(credentials) || !credentials.every(isValid)) {
+    const e = new Error('AUTH_CREDENTIALS must be a list of credentials with an id, a secret or token, and repos');
+    e.status = 500;
+    throw e;
+  }
+  return credentials;
+}
+
+/**
+ * Tells whether two strings are equal, in constant time.
+ *
+ * @param {string} s1 first string
+ * @param {string} s2 second string
+ * @returns {boolean} true if they are equal
+ */
+function safeEquals(s1, s2) {
+  const b1 = Buffer.from(String(s1));
+  const b2 = Buffer.from(String(s2));
+  return b1.length === b2.length && crypto.timingSafeEqual(b1, b2);
+}
+
+/**
+ * Return the payload signed for a request: the time it was signed at, followed by
+ * the request parameters in JSON format, with their names sorted.
+ *
+ * @param {string} timestamp time the request is signed at, in milliseconds since the epoch
+ * @param {object} params request parameters
+ * @returns {string} payload
+ */
+function getSignedPayload(timestamp, params) {
+  const sorted = {};
+  Object.keys(params)
+    .filter((name) => !name.startsWith('__'))
+    .sort()
+    .forEach((name) => {
+      sorted[name] = params[name];
+    });
+  return `${timestamp}\n${JSON.stringify(sorted)}`;
+}
+
+/**
+ * Return the headers of a request signed with a credential.
+ *
+ * @param {object} params request parameters
+ * @param {object} credential credential containing the `id` and `secret`
+ * @param {number} [timestamp] time the request is signed at, defaults to now
+ * @returns {object} request headers
+ */
+function signRequest(params, { id, secret }, timestamp = Date.now()) {
+  return {
+    'x-hlx-key-id': id,
+    'x-hlx-timestamp': String(timestamp),
+    'x-hlx-signature': signPayload(getSignedPayload(timestamp, params), secret),
+  };
+}
+
+/**
+ * Return the credential a request was made with. A request is either signed, with
+ * the `x-hlx-key-id`, `x-hlx-timestamp` and `x-hlx-signature` headers, or carries
+ * a bearer token in the `authorization` header.
+ *
+ * @param {Request} req request
+ * @param {object} params request parameters
+ * @param {object[]} credentials configured credentials
+ * @returns {object} credential
+ * @throws {Error} with status 401 if the request isn't authenticated
+ */
+function authenticate(req, params, credentials) {
+  const fail = (msg) => {
+    const e = new Error(msg);
+    e.status = 401;
+    return e;
+  };
+
+  const signature = req.headers.get('x-hlx-signature');
+  if (signature) {
+    const id = req.headers.get('x-hlx-key-id');
+    const timestamp = req.headers.get('x-hlx-timestamp');
+    const credential = credentials.find((c) => c.secret && c.id === id);
+    if (!credential) {
+      throw fail(`unknown key id: ${id}`);
+    }
+    if (!(Math.abs(Date.now() - Number(timestamp)) <= MAX_CLOCK_SKEW)) {
+      throw fail('signature expired');
+    }
+    const expected = signPayload(getSignedPayload(timestamp, params), credential.secret);
+    if (!safeEquals(expected, signature)) {
+      throw fail('invalid signature');
+    }
+    return credential;
+  }
+
+  const match = /^Bearer (.+)$/.exec(req.headers.get('authorization') || '');
+  if (match) {
+    const credential = credentials.find((c) => c.token && safeEquals(c.token, match[1]));
+    if (!credential) {
+      throw fail('invalid token');
+    }
+    return credential;
+  }
+  throw fail('authentication required');
+}
+
+/**
+ * Tells whether a credential may access a repository.
+ *
+ * @param {object} credential credential
+ * @param {string} owner the GitHub org or username
+ * @param {string} repo the GitHub repository
+ * @returns {boolean} true if one of the credential's patterns matches
+ */
+function isAllowed(credential, owner, repo) {
+  return credential.repos.some((pattern) => {
+    const [ownerPattern, repoPattern = ''] = pattern.split('/');
+    const matches = (p, value) => p === '*' || p === value;
+    return matches(ownerPattern, owner) && matches(repoPattern, repo);
+  });
+}
+
+/**
+ * Wraps a function so that it is only invoked for authenticated requests with
+ * access to the requested repository. Authentication is enabled by configuring
+ * `AUTH_CREDENTIALS`; without it, every request is passed on.
+ *
+ * @param {function} func function to wrap
+ * @returns {function} wrapped function
+ */
+function auth(func) {
+  return async (req, context) => {
+    const { env, data, log } = context;
+    let credential;
+    try {
+      const credentials = parseCredentials(env.AUTH_CREDENTIALS);
+      if (!credentials) {
+        return func(req, context);
+      }
+      credential = authenticate(req, data, credentials);
+    } catch (e) {
+      return createErrorResponse({ e, log });
+    }
+
+    const { owner, repo } = data;
+    // requests without owner and repo are rejected by the function itself
+    if (owner && repo && !isAllowed(credential, owner, repo)) {
+      return createErrorResponse({
+        log,
+        status: 403,
+        msg: `${credential.id} is not allowed to access ${owner}/${repo}`,
+      });
+    }
+    log.info(`Authenticated as ${credential.id}`);
+    return func(req, context);
+  };
+}
+
+module.exports = {
+  auth,
+  signRequest,
+};
@@ -0,0 +1,153 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { promisify } = require('util');
+const zlib = require('zlib');
+
+/**
+ * Media types of formats that are already compressed, where compressing
+ * again only costs CPU. Entries ending with a slash match a whole type.
+ */
+const COMPRESSED_TYPES = [
+  'audio/',
+  'video/',
+  'image/avif',
+  'image/gif',
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'font/woff',
+  'font/woff2',
+  'application/gzip',
+  'application/pdf',
+  'application/zip',
+  'application/x-gzip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+/**
+ * Media types of text formats. Entries ending with a slash match a whole type.
+ */
+const TEXT_TYPES = [
+  'text/',
+  'application/javascript',
+  'application/json',
+  'application/xml',
+  'image/svg+xml',
+];
+
+/**
+ * Compression functions by content encoding.
+ */
+const COMPRESSORS = {
+  gzip: {
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip),
+    createCompressStream: zlib.createGzip,
+    createDecompressStream: zlib.createGunzip,
+  },
+  br: {
+    compress: promisify(zlib.brotliCompress),
+    decompress: promisify(zlib.brotliDecompress),
+    createCompressStream: zlib.createBrotliCompress,
+    createDecompressStream: zlib.createBrotliDecompress,
+  },
+};
+
+/**
+ * Tells whether a media type matches one of a list of types.
+ *
+ * @param {string} mediaType media type, without parameters
+ * @param {string[]} types list of types
+ * @returns {boolean} true if the media type matches
+ */
+function matches(mediaType, types) {
+  return types.some((type) => (type.endsWith('/') ? mediaType.startsWith(type) : mediaType === type));
+}
+
+/**
+ * Return the content encoding to store a document of some content type with.
+ * Formats that are already compressed are stored as is, text formats are
+ * compressed with Brotli if allowed, and everything else with gzip.
+ *
+ * @param {string} [contentType] content type, e.g. `text/html; charset=utf-8`
+ * @param {object} [opts] options
+ * @param {boolean} [opts.brotli] whether to use Brotli for text formats
+ * @returns {string} `br`, `gzip` or null if the document should not be compressed
+ */
+function getContentEncoding(contentType = '', { brotli = false } = {}) {
+  const mediaType = contentType.split(';')[0].trim().toLowerCase();
+  if (matches(mediaType, COMPRESSED_TYPES)) {
+    return null;
+  }
+  if (brotli && (matches(mediaType, TEXT_TYPES) || /\+(json|xml)$/.test(mediaType))) {
+    return 'br';
+  }
+  return 'gzip';
+}
+
+/**
+ * Compress data with a content encoding.
+ *
+ * @param {Buffer} data data to compress
+ * @param {string} encoding content encoding, data is returned as is if not known
+ * @returns {Buffer} compressed data
+ */
+async function compress(data, encoding) {
+  const compressor = COMPRESSORS[encoding];
+  return compressor ? compressor.compress(data) : data;
+}
+
+/**
+ * Decompress data stored with a content encoding.
+ *
+ * @param {Buffer} data data to decompress
+ * @param {string} encoding content encoding, data is returned as is if not known
+ * @returns {Buffer} decompressed data
+ */
+async function decompress(data, encoding) {
+  const compressor = COMPRESSORS[encoding];
+  return compressor ? compressor.decompress(data) : data;
+}
+
+/**
+ * Create a transform stream compressing with a content encoding.
+ *
+ * @param {string} encoding content encoding
+ * @returns {Transform} transform stream or null if the encoding is not known
+ */
+function createCompressStream(encoding) {
+  const compressor = COMPRESSORS[encoding];
+  return compressor ? compressor.createCompressStream() : null;
+}
+
+/**
+ * Create a transform stream decompressing a content encoding.
+ *
+ * @param {string} encoding content encoding
+ * @returns {Transform} transform stream or null if the encoding is not known
+ */
+function createDecompressStream(encoding) {
+  const compressor = COMPRESSORS[encoding];
+  return compressor ? compressor.createDecompressStream() : null;
+}
+
+module.exports = {
+  getContentEncoding,
+  compress,
+  decompress,
+  createCompressStream,
+  createDecompressStream,
+};
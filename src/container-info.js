@@ -0,0 +1,122 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Time in milliseconds after which the last-seen time of a repository is refreshed,
+ * so that not every update rewrites the container info.
+ */
+const LAST_SEEN_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Number of attempts to update the container info when it is modified concurrently.
+ */
+const MAX_UPDATE_ATTEMPTS = 3;
+
+/**
+ * Return the key of the container info of a content bus.
+ *
+ * @param {string} contentBusId content bus id
+ * @returns {string} container info key
+ */
+function getInfoKey(contentBusId) {
+  return `${contentBusId}/.hlx.json`;
+}
+
+/**
+ * Load the container info of a content bus.
+ *
+ * @param {object} storage content storage
+ * @param {string} contentBusId content bus id
+ * @returns {object} container info or null if there is none
+ */
+async function loadContainerInfo(storage, contentBusId) {
+  const buf = await storage.load(getInfoKey(contentBusId));
+  return buf ? JSON.parse(buf.toString()) : null;
+}
+
+/**
+ * Record a repository in the container info of a content bus. The container info
+ * contains the `mountpoint`, the `original-repository` that created it, and the
+ * `repositories` that mount it, every one with its `owner`, `repo`, `ref` and the
+ * times it was first and last seen. The info is only written if the repository is
+ * new or was last seen a while ago, using a conditional write that is retried if
+ * the info was modified concurrently. The first time an owner and repository are
+ * seen, a marker file is created, so that the root folder is easy to find.
+ *
+ * @param {object} opts options
+ * @param {object} opts.storage content storage
+ * @param {string} opts.contentBusId content bus id
+ * @param {string} opts.mountpoint URL of the mount point
+ * @param {string} opts.owner the GitHub org or username
+ * @param {string} opts.repo the GitHub repository
+ * @param {string} opts.ref the GitHub ref
+ * @param {object} opts.log logger
+ *
+ * @returns {object} container info or null if it couldn't be updated
+ */
+async function recordRepository(opts) {
+  const {
+    storage, contentBusId, mountpoint, owner, repo, ref, log,
+  } = opts;
+
+  const key = getInfoKey(contentBusId);
+  for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const result = await storage.loadIfModified(key);
+    const info = result ? JSON.parse(result.data.toString()) : {
+      mountpoint,
+      'original-repository': `${owner}/${repo}`,
+    };
+    const repositories = info.repositories || [];
+    const now = new Date();
+    const entry = repositories.find((r) => r.owner === owner && r.repo === repo && r.ref === ref);
+    if (entry && now - new Date(entry.lastSeen) < LAST_SEEN_INTERVAL) {
+      return info;
+    }
+    const isNewRepo = !repositories.some((r) => r.owner === owner && r.repo === repo);
+    if (entry) {
+      entry.lastSeen = now.toISOString();
+    } else {
+      repositories.push({
+        owner,
+        repo,
+        ref,
+        firstSeen: now.toISOString(),
+        lastSeen: now.toISOString(),
+      });
+    }
+    info.repositories = repositories;
+
+    const meta = {
+      mountpoint: info.mountpoint,
+      'original-repository': info['original-repository'],
+    };
+    const data = Buffer.from(JSON.stringify(info, null, 2));
+    // eslint-disable-next-line no-await-in-loop
+    if (await storage.storeDataIfMatch(key, data, 'application/json', meta, result ? result.etag : null)) {
+      if (isNewRepo) {
+        // eslint-disable-next-line no-await-in-loop
+        await storage.storeData(`${contentBusId}--${owner}--${repo}`, '', 'text/plain', meta);
+      }
+      return info;
+    }
+  }
+  log.warn(`Unable to record ${owner}/${repo}/${ref} in ${key}: modified concurrently`);
+  return null;
+}
+
+module.exports = {
+  loadContainerInfo,
+  recordRepository,
+};
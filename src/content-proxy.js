@@ -12,9 +12,12 @@
 
 'use strict';
 
-const { Response } = require('@adobe/helix-fetch');
+const { finished } = require('stream');
+const { AbortError, FetchError, Response } = require('@adobe/helix-fetch');
 const { logLevelForStatusCode, propagateStatusCode } = require('@adobe/helix-shared-utils');
-const { fetch, getFetchOptions } = require('./utils.js');
+const {
+  fetch, getFetchOptions, getRetryPolicy, getBackoff, sleep,
+} = require('./utils.js');
 
 /**
  * Pass through headers that we keep in the forwarded response.
@@ -64,8 +67,94 @@ function createURL(opts) {
   return url.href;
 }
 
+/**
+ * Status codes of content-proxy responses that denote a transient failure.
+ */
+const RETRY_STATUS_CODES = [502, 503, 504];
+
+/**
+ * Tells whether an error thrown by fetch denotes a transient failure, i.e.
+ * a timeout or a connection reset by the host.
+ *
+ * @param {Error} e error
+ * @returns {boolean} true if the fetch should be retried
+ */
+function isTransientError(e) {
+  return e instanceof AbortError || (e instanceof FetchError && e.code === 'ECONNRESET');
+}
+
+/**
+ * Fetch a URL once. The body of a successful response is returned as a stream,
+ * so that large documents can be stored without holding them in memory. The
+ * timeout stays active until that stream is read, so a stalled download fails.
+ *
+ * @param {string} url URL to fetch
+ * @param {object} options Helix Fetch options, including the `fetchTimeout`
+ * @returns {object} the fetch response and its body
+ */
+async function fetchOnce(url, options) {
+  const fetchopts = getFetchOptions(options);
+  const { signal } = fetchopts;
+  let streaming = false;
+  try {
+    const resp = await fetch(url, fetchopts);
+    if (resp.ok) {
+      streaming = true;
+      finished(resp.body, () => signal.clear());
+      return { resp, body: resp.body };
+    }
+    return { resp, body: await resp.buffer() };
+  } finally {
+    if (!streaming) {
+      signal.clear();
+    }
+  }
+}
+
+/**
+ * Create the response forwarded for a content-proxy response.
+ *
+ * @param {string} url URL fetched
+ * @param {object} result the fetch response and its body
+ * @param {object} log a Helix-Log instance
+ * @returns {Response} response
+ */
+function createResponse(url, { resp, body }, log) {
+  if (resp.status === 304) {
+    log.info(`Content not modified: ${url}`);
+    return new Response(null, {
+      status: 304,
+    });
+  }
+  if (resp.ok) {
+    const headers = {};
+    PASSTHROUGH_HEADERS.forEach((name) => {
+      const value = resp.headers.get(name);
+      if (value) {
+        headers[name] = value;
+      }
+    });
+    return new Response(body, {
+      status: 200,
+      headers,
+    });
+  }
+  log[logLevelForStatusCode(resp.status)](`Unable to fetch ${url} (${resp.status}): ${resp.headers.get('x-error')}`);
+  return new Response(body, {
+    status: propagateStatusCode(resp.status),
+    headers: {
+      'x-error': resp.headers.get('x-error'),
+      'cache-control': 'private, no-cache',
+    },
+  });
+}
+
 /**
  * Fetches a document, either by using the content-proxy service or going to a CDN.
+ * Timeouts, connection resets and 502, 503 or 504 responses are retried as the
+ * retry policy allows, see `getRetryPolicy`. The number of attempts made is set as
+ * `attempts` property of the response or the error thrown, as the headers of a
+ * successful response are stored along with the document.
  *
  * @param {object}   opts options
  * @param {string}   opts.owner the GitHub org or username
@@ -75,6 +164,7 @@ function createURL(opts) {
  * @param {string}   opts.mp mountpoint
  * @param {object}   opts.log a Helix-Log instance
  * @param {object}   opts.options Helix Fetch options
+ * @param {object}   [opts.retry] retry policy, containing `attempts`, `delay` and `budget`
  * @param {Resolver} opts.resolver Version lock helper
  *
  * @returns {Response} response
@@ -83,40 +173,46 @@ async function contentProxy(opts) {
   const {
     log, options,
   } = opts;
+  const { attempts: maxAttempts, delay, budget } = getRetryPolicy(opts.retry);
 
   const url = createURL(opts);
   log.info(`Fetching content from: ${url}`);
 
-  const fetchopts = getFetchOptions(options);
-
-  try {
-    const resp = await fetch(url, fetchopts);
-    const body = await resp.buffer();
-    if (resp.ok) {
-      const headers = {};
-      PASSTHROUGH_HEADERS.forEach((name) => {
-        const value = resp.headers.get(name);
-        if (value) {
-          headers[name] = value;
-        }
-      });
-      return new Response(body, {
-        status: 200,
-        headers,
+  const start = Date.now();
+  let attempts = 0;
+  for (;;) {
+    attempts += 1;
+    let result;
+    let error;
+    // an attempt can't take longer than the budget that is left
+    const left = Math.max(budget - (Date.now() - start), 1);
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      result = await fetchOnce(url, {
+        ...options,
+        fetchTimeout: Math.min(options.fetchTimeout || left, left),
       });
+    } catch (e) {
+      e.attempts = attempts;
+      if (!isTransientError(e)) {
+        throw e;
+      }
+      error = e;
     }
-    log[logLevelForStatusCode(resp.status)](`Unable to fetch ${url} (${resp.status}): ${resp.headers.get('x-error')}`);
-    return new Response(body, {
-      status: propagateStatusCode(resp.status),
-      headers: {
-        'x-error': resp.headers.get('x-error'),
-        'cache-control': 'private, no-cache',
-      },
-    });
-  } finally {
-    if (fetchopts.signal) {
-      fetchopts.signal.clear();
+    const wait = getBackoff(delay, attempts);
+    const failed = error || RETRY_STATUS_CODES.includes(result.resp.status);
+    if (!failed || attempts >= maxAttempts || Date.now() - start + wait > budget) {
+      if (error) {
+        throw error;
+      }
+      const res = createResponse(url, result, log);
+      res.attempts = attempts;
+      return res;
     }
+    const reason = error ? error.message : `status ${result.resp.status}`;
+    log.warn(`Attempt ${attempts} to fetch ${url} failed (${reason}), retrying in ${wait}ms`);
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(wait);
   }
 }
 
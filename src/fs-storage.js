@@ -0,0 +1,419 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { createReadStream, promises: fs } = require('fs');
+const path = require('path');
+
+const { isMetadataChanged } = require('./metadata.js');
+const { compareBy } = require('./utils.js');
+
+/**
+ * Response header names that need a different metadata name.
+ */
+const METADATA_HEADER_MAP = new Map([
+  ['last-modified', 'x-source-last-modified'],
+]);
+
+/**
+ * Metadata name of the hash of an object's contents.
+ */
+const CONTENT_HASH_METADATA = 'x-content-hash';
+
+/**
+ * Filesystem Storage class. Keeps the object bodies in a `data` folder
+ * and their content type and metadata in a `meta` folder, both below
+ * a folder named after the bucket.
+ */
+class FSStorage {
+  /*
+   * Create an instance
+   *
+   * @param {object}   opts options
+   * @param {string}   opts.root root directory of all buckets
+   * @param {string}   opts.bucket bucket id, used as directory name
+   * @param {object}   opts.readOnly flag indicating whether bucket should never be written to
+   * @param {object}   opts.log logger
+   *
+   * @returns FSStorage instance
+   */
+  constructor(opts) {
+    const {
+      root,
+      bucket,
+      readOnly = false,
+      log = console,
+    } = opts;
+
+    if (!root) {
+      throw new Error('root is required.');
+    }
+    if (!bucket) {
+      throw new Error('bucket is required.');
+    }
+    this._dir = path.resolve(root, bucket);
+    this._bucket = bucket;
+    this._readOnly = readOnly;
+    this._log = log;
+  }
+
+  /**
+   * Return the file system path for a key in one of the bucket areas.
+   *
+   * @param {string} area either `data` or `meta`
+   * @param {string} key object key
+   * @returns file system path
+   */
+  _resolve(area, key) {
+    const base = path.resolve(this._dir, area);
+    const file = path.resolve(base, key.replace(/^\/+/, ''));
+    if (!file.startsWith(`${base}${path.sep}`)) {
+      throw new Error(`key outside of bucket: ${key}`);
+    }
+    return area === 'meta' ? `${file}.json` : file;
+  }
+
+  /**
+   * Read a file, returning null if it does not exist.
+   *
+   * @param {string} file file system path
+   * @returns file contents as a Buffer or null
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async _read(file) {
+    try {
+      return await fs.readFile(file);
+    } catch (e) {
+      /* istanbul ignore next */
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write a file, creating its parent directories.
+   *
+   * @param {string} file file system path
+   * @param {Buffer|string} data data to write
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async _write(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+  }
+
+  /**
+   * Return an object contents.
+   *
+   * @param {string} key object key
+   * @returns object contents as a Buffer or null
+   */
+  async load(key) {
+    const result = await this.loadIfModified(key);
+    return result && result.data;
+  }
+
+  /**
+   * Return an object contents, unless its ETag matches the one given. Like S3,
+   * the ETag is the quoted MD5 hash of the contents.
+   *
+   * @param {string} key object key
+   * @param {string} [etag] ETag of the copy known to the caller
+   * @returns object containing the `etag` and, if the object was modified, its `data`
+   * as a Buffer, or null if the object does not exist
+   */
+  async loadIfModified(key, etag) {
+    const buf = await this._read(this._resolve('data', key));
+    if (!buf) {
+      return null;
+    }
+    const current = `"${crypto.createHash('md5').update(buf).digest('hex')}"`;
+    if (current === etag) {
+      this.log.info(`Object not modified: ${this.bucket}/${key}`);
+      return { etag };
+    }
+    this.log.info(`Object loaded from: ${this.bucket}/${key}`);
+    return { data: buf, etag: current };
+  }
+
+  /**
+   * Return an object contents as a stream, without buffering it.
+   *
+   * @param {string} key object key
+   * @returns {Readable} stream of the object contents or null
+   */
+  async loadStream(key) {
+    const file = this._resolve('data', key);
+    try {
+      await fs.access(file);
+    } catch (e) {
+      return null;
+    }
+    this.log.info(`Object streamed from: ${this.bucket}/${key}`);
+    return createReadStream(file);
+  }
+
+  /**
+   * Return an object's properties.
+   *
+   * @param {string} key object key
+   * @returns object containing `contentType`, `size`, `lastModified` and `metadata` or null
+   */
+  async head(key) {
+    const buf = await this._read(this._resolve('meta', key));
+    if (!buf) {
+      return null;
+    }
+    const { ContentType, Metadata } = JSON.parse(buf.toString());
+    const { size, mtime } = await fs.stat(this._resolve('data', key));
+    this.log.info(`Object metadata loaded for: ${this.bucket}/${key}`);
+    return {
+      contentType: ContentType,
+      size,
+      lastModified: mtime,
+      metadata: Metadata,
+    };
+  }
+
+  /**
+   * Return an object's metadata.
+   *
+   * @param {string} key object key
+   * @returns object metadata or null
+   */
+  async metadata(key) {
+    const info = await this.head(key);
+    return info && info.metadata;
+  }
+
+  /**
+   * Store an object contents, along with headers. Nothing is written if
+   * the stored object has the same content hash, except for the metadata
+   * if it changed, e.g. the last modification time of the source.
+   *
+   * @param {string} key object key
+   * @param {Response} res response to store
+   * @returns {boolean} true if the object was stored, false if it was unchanged
+   */
+  async store(key, res) {
+    if (this._readOnly) {
+      throw new Error(`Storage is read-only: ${this._bucket}`);
+    }
+
+    const body = await res.buffer();
+    const hash = crypto.createHash('sha256').update(body).digest('hex');
+
+    const meta = {};
+    let contentType;
+
+    Array.from(res.headers.entries()).forEach(([name, value]) => {
+      if (name === 'content-type') {
+        contentType = value;
+      } else if (name !== 'cache-control' && name !== 'expires') {
+        meta[METADATA_HEADER_MAP.get(name) || name] = value;
+      }
+    });
+    meta[CONTENT_HASH_METADATA] = hash;
+
+    const stored = await this.metadata(key);
+    if (stored && stored[CONTENT_HASH_METADATA] === hash) {
+      if (isMetadataChanged(stored, meta)) {
+        await this.copy(key, key, meta);
+        this.log.info(`Object unchanged, updated metadata of: ${this.bucket}/${key}`);
+      } else {
+        this.log.info(`Object unchanged, skipped storing to: ${this.bucket}/${key}`);
+      }
+      return false;
+    }
+    await this.storeData(key, body, contentType, meta);
+    return true;
+  }
+
+  /**
+   * Store an object contents, along with headers.
+   *
+   * @param {string} key object key
+   * @param {Buffer} data data to store
+   * @param {string} [contentType] content type. defaults to 'application/octet-stream'
+   * @param {object} [meta] metadata to store with the object. defaults to '{}'
+   */
+  async storeData(key, data, contentType = 'application/octet-stream', meta = {}) {
+    if (this._readOnly) {
+      throw new Error(`Storage is read-only: ${this._bucket}`);
+    }
+    await this._write(this._resolve('data', key), data);
+    await this._write(this._resolve('meta', key), JSON.stringify({
+      ContentType: contentType,
+      Metadata: meta,
+    }, null, 2));
+    this.log.info(`Object stored to: ${this.bucket}/${key}`);
+  }
+
+  /**
+   * Store an object contents, along with headers, unless it changed since it was
+   * loaded, i.e. its ETag doesn't match, or, without ETag, it exists.
+   *
+   * @param {string} key object key
+   * @param {Buffer} data data to store
+   * @param {string} contentType content type
+   * @param {object} meta metadata to store with the object
+   * @param {string} etag ETag of the object when it was loaded, or null if it didn't exist
+   * @returns {boolean} true if the object was stored, false if it changed in the meantime
+   */
+  async storeDataIfMatch(key, data, contentType, meta, etag) {
+    if (this._readOnly) {
+      throw new Error(`Storage is read-only: ${this._bucket}`);
+    }
+    const current = await this.loadIfModified(key, etag);
+    if (etag ? !current || current.data : current) {
+      this.log.info(`Object changed before store to: ${this.bucket}/${key}`);
+      return false;
+    }
+    await this.storeData(key, data, contentType, meta);
+    return true;
+  }
+
+  /**
+   * Copy an object in the same bucket.
+   *
+   * @param {string} src source key
+   * @param {string} dest destination key
+   * @param {object} [meta] metadata to add to the metadata of the source object
+   */
+  async copy(src, dest, meta) {
+    if (this._readOnly) {
+      throw new Error(`Storage is read-only: ${this._bucket}`);
+    }
+
+    const data = await this._read(this._resolve('data', src));
+    if (!data) {
+      const e = new Error(`source does not exist: ${src}`);
+      e.status = 404;
+      throw e;
+    }
+    const { ContentType, Metadata } = JSON.parse(
+      await fs.readFile(this._resolve('meta', src), 'utf-8'),
+    );
+    await this.storeData(dest, data, ContentType, { ...Metadata, ...meta });
+    this.log.info(`Object copied from ${src} to: ${this.bucket}/${dest}`);
+  }
+
+  /**
+   * Remove an object.
+   *
+   * @param {string} key object key
+   */
+  async remove(key) {
+    if (this._readOnly) {
+      throw new Error(`Storage is read-only: ${this._bucket}`);
+    }
+
+    try {
+      await fs.unlink(this._resolve('data', key));
+    } catch (e) {
+      /* istanbul ignore next */
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+      const e2 = new Error(`object does not exist: ${key}`);
+      e2.status = 404;
+      throw e2;
+    }
+    await fs.unlink(this._resolve('meta', key));
+    this.log.info(`Object removed from: ${this.bucket}/${key}`);
+  }
+
+  /**
+   * List all objects below a prefix.
+   *
+   * @param {string} prefix key prefix
+   * @returns list of objects, containing `key`, `size` and `lastModified`
+   */
+  async list(prefix) {
+    const base = path.resolve(this._dir, 'data');
+    // the prefix may end in the middle of a name, so start in its folder
+    const folder = prefix.endsWith('/') ? prefix : path.posix.dirname(prefix);
+    const objects = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (e) {
+        /* istanbul ignore next */
+        if (e.code !== 'ENOENT') {
+          throw e;
+        }
+        return;
+      }
+      for (const entry of entries) {
+        const file = path.resolve(dir, entry.name);
+        if (entry.isDirectory()) {
+          // eslint-disable-next-line no-await-in-loop
+          await walk(file);
+        } else {
+          const key = path.relative(base, file).split(path.sep).join('/');
+          if (key.startsWith(prefix)) {
+            // eslint-disable-next-line no-await-in-loop
+            const { size, mtime } = await fs.stat(file);
+            objects.push({ key, size, lastModified: mtime });
+          }
+        }
+      }
+    };
+    await walk(folder === '.' ? base : this._resolve('data', folder));
+
+    objects.sort(compareBy('key'));
+    this.log.info(`Listed ${objects.length} objects below: ${this.bucket}/${prefix}`);
+    return objects;
+  }
+
+  /**
+   * List a page of objects below a prefix.
+   *
+   * @param {string} prefix key prefix
+   * @param {object} [opts] options
+   * @param {number} [opts.limit] maximum number of objects to return, defaults to 1000
+   * @param {string} [opts.token] continuation token returned with the previous page
+   * @returns object containing the `objects` and the `next` continuation token, if truncated
+   */
+  async listPage(prefix, { limit = 1000, token } = {}) {
+    // the continuation token is the last key of the previous page
+    const objects = (await this.list(prefix)).filter(({ key }) => !token || key > token);
+    const page = objects.slice(0, limit);
+    return {
+      objects: page,
+      next: objects.length > limit ? page[page.length - 1].key : undefined,
+    };
+  }
+
+  /**
+   * Close this storage. Nothing to release for the file system.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  close() {
+  }
+
+  get bucket() {
+    return this._bucket;
+  }
+
+  get log() {
+    return this._log;
+  }
+}
+
+module.exports = { FSStorage };
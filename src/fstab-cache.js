@@ -0,0 +1,89 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { MountConfig } = require('@adobe/helix-shared-config');
+
+/**
+ * Default time in milliseconds a cached fstab is used without revalidation.
+ */
+const DEFAULT_FSTAB_TTL = 60000;
+
+/**
+ * Parsed fstab configurations, keyed by owner, repo and ref. The cache lives
+ * as long as the container, so it is shared by all invocations running in it.
+ */
+const cache = new Map();
+
+/**
+ * Return the parsed `fstab.yaml` of a repository in the code bus. The parsed
+ * configuration is cached, and used without asking the storage until it is
+ * older than `ttl`. After that, it is revalidated using its ETag, and only
+ * downloaded and parsed again if it changed.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage code bus storage
+ * @param {string}   opts.owner the GitHub org or username
+ * @param {string}   opts.repo the GitHub repository
+ * @param {string}   opts.ref the GitHub ref
+ * @param {number}   [opts.ttl] time in milliseconds a cached fstab is used without
+ *                   revalidation, defaults to 60 seconds
+ * @param {boolean}  [opts.refresh] whether to ignore the cached fstab and download it again
+ * @param {object}   opts.log logger
+ *
+ * @returns {MountConfig} parsed configuration or null if the fstab.yaml does not exist
+ */
+async function loadFstab(opts) {
+  const {
+    storage, owner, repo, ref, ttl = DEFAULT_FSTAB_TTL, refresh = false, log,
+  } = opts;
+
+  const key = `${owner}/${repo}/${ref}/fstab.yaml`;
+  const entry = refresh ? null : cache.get(key);
+  if (entry && Date.now() - entry.validated < ttl) {
+    log.info(`Using cached fstab: ${key}`);
+    return entry.fstab;
+  }
+
+  const { etag } = entry || {};
+  const result = await storage.loadIfModified(key, etag);
+  if (!result) {
+    cache.delete(key);
+    return null;
+  }
+  if (entry && !result.data) {
+    log.info(`Cached fstab still valid: ${key}`);
+    entry.validated = Date.now();
+    return entry.fstab;
+  }
+
+  const fstab = await new MountConfig().withSource(result.data.toString()).init();
+  cache.set(key, {
+    fstab,
+    etag: result.etag,
+    validated: Date.now(),
+  });
+  return fstab;
+}
+
+/**
+ * Clear the fstab cache.
+ */
+function clearFstabCache() {
+  cache.clear();
+}
+
+module.exports = {
+  loadFstab,
+  clearFstabCache,
+};
@@ -0,0 +1,88 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { fetch, getFetchOptions } = require('./utils.js');
+
+/**
+ * Default GitHub API endpoint.
+ */
+const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+
+/**
+ * Logins of token owners, keyed by the hash of the token, so that the tokens
+ * themselves aren't kept. The cache lives as long as the container.
+ */
+const cache = new Map();
+
+/**
+ * Return the login of the GitHub user owning a token.
+ *
+ * @param {object} opts options
+ * @param {string} opts.token GitHub token
+ * @param {string} [opts.apiURL] GitHub API endpoint, defaults to `https://api.github.com`
+ * @param {object} opts.log logger
+ *
+ * @returns {string} login of the user or null if it can't be determined
+ */
+async function getTokenOwner(opts) {
+  const { token, apiURL = DEFAULT_GITHUB_API_URL, log } = opts;
+  if (!token) {
+    return null;
+  }
+  const hash = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+  if (cache.has(hash)) {
+    return cache.get(hash);
+  }
+
+  const fetchopts = getFetchOptions({
+    headers: {
+      authorization: `token ${token}`,
+      accept: 'application/vnd.github.v3+json',
+    },
+    cache: 'no-store',
+    fetchTimeout: 5000,
+  });
+  try {
+    const resp = await fetch(`${apiURL}/user`, fetchopts);
+    if (!resp.ok) {
+      log.warn(`Unable to determine the owner of the GitHub token: status ${resp.status}`);
+      await resp.text();
+      return null;
+    }
+    const { login } = await resp.json();
+    cache.set(hash, login);
+    return login;
+  } catch (e) {
+    log.warn(`Unable to determine the owner of the GitHub token: ${e.message}`);
+    return null;
+  } finally {
+    fetchopts.signal.clear();
+  }
+}
+
+/**
+ * Clear the token owner cache.
+ */
+function clearTokenOwnerCache() {
+  cache.clear();
+}
+
+module.exports = {
+  getTokenOwner,
+  clearTokenOwnerCache,
+};
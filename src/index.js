@@ -18,13 +18,33 @@ const { AbortError, FetchError } = require('@adobe/helix-fetch');
 const { logger } = require('@adobe/helix-universal-logger');
 const wrap = require('@adobe/helix-shared-wrap');
 const bodyData = require('@adobe/helix-shared-body-data');
-const { MountConfig } = require('@adobe/helix-shared-config');
 const { wrap: helixStatus } = require('@adobe/helix-status');
 const { Response } = require('@adobe/helix-universal');
 
+const { auth } = require('./auth.js');
+const {
+  AUDITED_ACTIONS, DEFAULT_AUDIT_RANGE, MAX_AUDIT_RANGE, writeAuditEntry, readAuditLog,
+} = require('./audit.js');
+const { loadContainerInfo, recordRepository } = require('./container-info.js');
 const { contentProxy } = require('./content-proxy.js');
-const { AWSStorage } = require('./storage.js');
-const { createErrorResponse } = require('./utils.js');
+const { loadFstab } = require('./fstab-cache.js');
+const { getTokenOwner } = require('./github-user.js');
+const { PARTITIONS, listDocuments } = require('./list.js');
+const { migrateContentBus } = require('./migrate.js');
+const { publishFolder } = require('./publish.js');
+const { PURGE_TYPES, purge } = require('./purge.js');
+const { parseIndexFields, updateQueryIndex } = require('./query-index.js');
+const {
+  SCHEDULED_ACTIONS, addScheduleEntry, listSchedule, cancelScheduleEntry, processSchedule,
+} = require('./schedule.js');
+const { parseExcludes, updateSitemap } = require('./sitemap.js');
+const { getStatus } = require('./status.js');
+const { parseWebhookURLs, deliverEvent } = require('./webhooks.js');
+const {
+  VERSION_PATTERN, archiveLive, publishDocument, listVersions, rollback,
+} = require('./versions.js');
+const { createStorage } = require('./storage.js');
+const { createErrorResponse, createJSONResponse, processQueue } = require('./utils.js');
 
 /**
  * Parse a boolean given as either a string or a boolean.
@@ -40,6 +60,681 @@ function parseBoolean(value, defaultValue) {
   return value ? !!value : defaultValue;
 }
 
+/**
+ * Modes of handling a stored document whose source is gone.
+ */
+const ON_MISSING_MODES = ['keep', 'delete', 'tombstone'];
+
+/**
+ * Handle a stored document whose source is gone, by either deleting it
+ * or replacing it with an empty tombstone carrying the deletion time.
+ *
+ * @param {object} storage content storage
+ * @param {string} key object key
+ * @param {string} mode either `delete` or `tombstone`
+ */
+async function removeMissing(storage, key, mode) {
+  const metadata = await storage.metadata(key);
+  if (!metadata || metadata['x-deleted']) {
+    return;
+  }
+  if (mode === 'delete') {
+    await storage.remove(key);
+  } else {
+    await storage.storeData(key, '', 'text/plain', {
+      'x-deleted': new Date().toUTCString(),
+    });
+  }
+}
+
+/**
+ * Known actions.
+ */
+const ACTIONS = [
+  'update', 'publish', 'unpublish', 'list', 'status', 'versions', 'rollback', 'audit',
+  'schedule', 'schedules', 'cancel-schedule', 'process-schedule', 'lookup', 'migrate',
+];
+
+/**
+ * Actions that cover the whole partition, unless a path is given.
+ */
+const PARTITION_ACTIONS = [
+  'list', 'audit', 'schedules', 'cancel-schedule', 'process-schedule', 'lookup', 'migrate',
+];
+
+/**
+ * Default and maximum number of documents returned by a `list` action.
+ */
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+
+/**
+ * Default number of paths or objects processed in parallel in a bulk operation.
+ */
+const DEFAULT_BULK_CONCURRENCY = 8;
+
+/**
+ * Returns the content bus id of a mount point.
+ *
+ * @param {object} mp mount point
+ * @returns {string} content bus id
+ */
+function getContentBusId(mp) {
+  const sha256 = crypto
+    .createHash('sha256')
+    .update(mp.url)
+    .digest('hex');
+  return `${sha256.substr(0, 59)}`;
+}
+
+/**
+ * Purges documents from the CDN, if a purge endpoint is configured.
+ *
+ * @param {object} ctx action context
+ * @param {string} contentBusId content bus id
+ * @param {string} partition either `preview` or `live`
+ * @param {string[]} paths paths of the documents to purge
+ * @returns {object} purge outcome or null if nothing was purged
+ */
+async function purgeDocuments(ctx, contentBusId, partition, paths) {
+  const {
+    owner, repo, ref, purgeOptions, log,
+  } = ctx;
+  if (!purgeOptions || !paths.length) {
+    return null;
+  }
+  return purge({
+    ...purgeOptions, owner, repo, ref, contentBusId, partition, paths, log,
+  });
+}
+
+/**
+ * Returns the response headers reporting a purge outcome.
+ *
+ * @param {object} outcome purge outcome or null
+ * @returns {object} response headers
+ */
+function getPurgeHeaders(outcome) {
+  if (!outcome) {
+    return {};
+  }
+  const headers = {
+    'x-purge': outcome.status,
+  };
+  if (outcome.error) {
+    headers['x-purge-error'] = outcome.error;
+  }
+  return headers;
+}
+
+/**
+ * Notifies the webhooks about changed documents, if webhooks are configured.
+ * Every document gets its own event.
+ *
+ * @param {object} ctx action context
+ * @param {string} contentBusId content bus id
+ * @param {string} partition partition the documents are stored in
+ * @param {string[]} paths paths of the changed documents
+ * @param {object} [details] event details
+ * @param {boolean} [details.changed] whether the content changed, defaults to `true`
+ * @param {string} [details.sourceLastModified] last modification time of the source
+ */
+async function notifyWebhooks(ctx, contentBusId, partition, paths, details = {}) {
+  const {
+    owner, repo, ref, action, webhooks, concurrency, log,
+  } = ctx;
+  if (!webhooks) {
+    return;
+  }
+  const { changed = true, sourceLastModified = null } = details;
+  await processQueue(paths, concurrency, async (path) => deliverEvent({
+    ...webhooks,
+    event: {
+      action,
+      owner,
+      repo,
+      ref,
+      path,
+      contentBusId,
+      key: `${contentBusId}/${partition}${path}`,
+      changed,
+      timestamp: new Date().toISOString(),
+      sourceLastModified,
+    },
+    log,
+  }));
+}
+
+/**
+ * Remembers documents that changed, so that the query index of their partition and
+ * the sitemap of their content bus can be updated after all paths are processed, and
+ * every index is only written once.
+ *
+ * @param {object} ctx action context
+ * @param {string} contentBusId content bus id
+ * @param {string} partition partition the documents are stored in
+ * @param {string[]} paths paths of the changed documents
+ */
+function queueChanges(ctx, contentBusId, partition, paths) {
+  const { changes } = ctx;
+  const key = `${contentBusId}/${partition}`;
+  if (!changes.has(key)) {
+    changes.set(key, { contentBusId, partition, paths: new Set() });
+  }
+  const pending = changes.get(key);
+  paths.forEach((path) => pending.paths.add(path));
+}
+
+/**
+ * Updates the query indexes of the documents remembered while processing the paths,
+ * if the query index is enabled. The fields of the entries are the ones configured for
+ * the original repository of the content bus, so that every repository mounting it
+ * indexes the same fields. Failing to update an index doesn't fail the action.
+ *
+ * @param {object} ctx action context
+ */
+async function updateQueryIndexes(ctx) {
+  const {
+    owner, repo, queryIndex, changes, contentStorage, concurrency, log,
+  } = ctx;
+  if (!queryIndex) {
+    return;
+  }
+  for (const { contentBusId, partition, paths } of changes.values()) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const info = await loadContainerInfo(contentStorage, contentBusId);
+      const [infoOwner, infoRepo] = ((info && info['original-repository']) || `${owner}/${repo}`)
+        .split('/');
+      // eslint-disable-next-line no-await-in-loop
+      await updateQueryIndex({
+        storage: contentStorage,
+        contentBusId,
+        partition,
+        paths: [...paths],
+        fields: parseIndexFields(queryIndex.fields, infoOwner, infoRepo),
+        concurrency,
+        log,
+      });
+    } catch (e) {
+      log.warn(`Unable to update query index of ${contentBusId}/${partition}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Runs an action on a single path.
+ *
+ * @param {object} ctx action context
+ * @param {string} path path to process
+ * @returns {Response} the response
+ */
+async function processPath(ctx, path) {
+  const {
+    owner, repo, ref, prefix, action, onMissing, useLastModified, recursive,
+    partition, limit, token, version, publisher, from, to, operation, at, id, user,
+    oldMountpoint, dryRun, fstab, contentStorage, concurrency, retry, log, resolver,
+  } = ctx;
+
+  const mp = fstab.match(path);
+  if (!mp) {
+    return createErrorResponse({
+      log,
+      status: 400,
+      msg: `path specified is not mounted in fstab.yaml: ${path}`,
+    });
+  }
+
+  // options are modified below, so every path gets its own copy
+  const options = { ...ctx.options };
+
+  try {
+    const contentBusId = getContentBusId(mp);
+
+    if (action === 'update') {
+      const key = `${contentBusId}/${prefix}${path}`;
+
+      if (useLastModified) {
+        const metadata = await contentStorage.metadata(key);
+        if (metadata) {
+          options.lastModified = metadata['x-source-last-modified'];
+        }
+      }
+      const res = await contentProxy({
+        owner, repo, ref, path, mp, log, options, retry, resolver,
+      });
+      // the source didn't change since it was stored, so there's nothing to write
+      const notModified = res.status === 304;
+      if (!res.ok && !notModified) {
+        if (res.status === 404 && onMissing !== 'keep') {
+          await removeMissing(contentStorage, key, onMissing);
+          queueChanges(ctx, contentBusId, prefix, [path]);
+        }
+        if (res.attempts) {
+          res.headers.set('x-attempts', String(res.attempts));
+        }
+        return res;
+      }
+      let changed = false;
+      if (!notModified) {
+        try {
+          changed = await contentStorage.store(key, res);
+        } finally {
+          // release the connection if storing failed before the body was read
+          if (!res.body.readableEnded) {
+            res.body.destroy();
+          }
+        }
+      }
+
+      await recordRepository({
+        storage: contentStorage,
+        contentBusId,
+        mountpoint: mp.url,
+        owner,
+        repo,
+        ref,
+        log,
+      });
+      const outcome = changed && ctx.purgeOptions && ctx.purgeOptions.onUpdate
+        ? await purgeDocuments(ctx, contentBusId, prefix, [path])
+        : null;
+      const headers = {
+        'x-content-changed': String(changed),
+        ...getPurgeHeaders(outcome),
+      };
+      queueChanges(ctx, contentBusId, prefix, [path]);
+      await notifyWebhooks(ctx, contentBusId, prefix, [path], {
+        changed,
+        sourceLastModified: res.headers.get('last-modified'),
+      });
+      if (res.attempts) {
+        headers['x-attempts'] = String(res.attempts);
+      }
+      return new Response('', {
+        status: notModified ? 304 : 200,
+        headers,
+      });
+    }
+
+    if (action === 'list') {
+      const result = await listDocuments({
+        storage: contentStorage,
+        contentBusId,
+        partition,
+        folder: path.endsWith('/') ? path : `${path}/`,
+        limit,
+        token,
+        concurrency,
+      });
+      return createJSONResponse(result);
+    }
+
+    if (action === 'status') {
+      const status = await getStatus({
+        storage: contentStorage,
+        contentBusId,
+        path,
+      });
+      return createJSONResponse(status);
+    }
+
+    if (action === 'lookup') {
+      const info = await loadContainerInfo(contentStorage, contentBusId);
+      if (!info) {
+        return createErrorResponse({
+          log,
+          status: 404,
+          msg: `no container info found for: ${path}`,
+        });
+      }
+      return createJSONResponse({ contentBusId, ...info });
+    }
+
+    if (action === 'migrate') {
+      const oldContentBusId = getContentBusId({ url: oldMountpoint });
+      if (oldContentBusId === contentBusId) {
+        return createErrorResponse({
+          log,
+          status: 400,
+          msg: `mount point did not change: ${oldMountpoint}`,
+        });
+      }
+      const summary = await migrateContentBus({
+        storage: contentStorage,
+        oldContentBusId,
+        newContentBusId: contentBusId,
+        oldMountpoint,
+        newMountpoint: mp.url,
+        owner,
+        repo,
+        dryRun,
+        concurrency,
+        log,
+      });
+      if (!summary) {
+        return createErrorResponse({
+          log,
+          status: 404,
+          msg: `no content found for: ${oldMountpoint}`,
+        });
+      }
+      return createJSONResponse({
+        from: { mountpoint: oldMountpoint, contentBusId: oldContentBusId },
+        to: { mountpoint: mp.url, contentBusId },
+        ...summary,
+      });
+    }
+
+    if (action === 'audit') {
+      const auditLog = await readAuditLog({
+        storage: contentStorage,
+        contentBusId,
+        path,
+        from,
+        to,
+        concurrency,
+      });
+      return createJSONResponse(auditLog);
+    }
+
+    if (action === 'schedule') {
+      const entry = await addScheduleEntry(contentStorage, contentBusId, {
+        action: operation,
+        path,
+        at,
+        user,
+      });
+      return createJSONResponse(entry);
+    }
+
+    if (action === 'schedules') {
+      const schedule = await listSchedule({
+        storage: contentStorage,
+        contentBusId,
+        path,
+      });
+      return createJSONResponse(schedule);
+    }
+
+    if (action === 'cancel-schedule') {
+      const entry = await cancelScheduleEntry(contentStorage, contentBusId, id);
+      if (!entry) {
+        return createErrorResponse({
+          log,
+          status: 404,
+          msg: `no pending schedule entry: ${id}`,
+        });
+      }
+      return createJSONResponse(entry);
+    }
+
+    if (action === 'publish' && recursive) {
+      const summary = await publishFolder({
+        storage: contentStorage,
+        contentBusId,
+        folder: path.endsWith('/') ? path : `${path}/`,
+        concurrency,
+        user,
+        publisher,
+        log,
+      });
+      const previewPrefix = `${contentBusId}/preview`;
+      const paths = summary.copied.map((key) => key.substring(previewPrefix.length));
+      const outcome = await purgeDocuments(ctx, contentBusId, 'live', paths);
+      if (outcome) {
+        summary.purge = outcome;
+      }
+      queueChanges(ctx, contentBusId, 'live', paths);
+      await notifyWebhooks(ctx, contentBusId, 'live', paths);
+      return createJSONResponse(summary);
+    }
+
+    if (action === 'publish') {
+      await publishDocument({
+        storage: contentStorage,
+        contentBusId,
+        path,
+        src: `${contentBusId}/preview${path}`,
+        user,
+        publisher,
+      });
+      const outcome = await purgeDocuments(ctx, contentBusId, 'live', [path]);
+      queueChanges(ctx, contentBusId, 'live', [path]);
+      await notifyWebhooks(ctx, contentBusId, 'live', [path]);
+      return new Response('', {
+        status: 200,
+        headers: getPurgeHeaders(outcome),
+      });
+    }
+
+    if (action === 'versions') {
+      const versions = await listVersions({
+        storage: contentStorage,
+        contentBusId,
+        path,
+        concurrency,
+      });
+      return createJSONResponse(versions);
+    }
+
+    if (action === 'rollback') {
+      await rollback({
+        storage: contentStorage,
+        contentBusId,
+        path,
+        version,
+        user,
+        publisher,
+      });
+      const outcome = await purgeDocuments(ctx, contentBusId, 'live', [path]);
+      queueChanges(ctx, contentBusId, 'live', [path]);
+      await notifyWebhooks(ctx, contentBusId, 'live', [path]);
+      return new Response('', {
+        status: 200,
+        headers: getPurgeHeaders(outcome),
+      });
+    }
+
+    // actions are validated before, so every action handled per path has a branch above
+    /* istanbul ignore else */
+    if (action === 'unpublish') {
+      // keep the live copy, so unpublishing can be rolled back
+      await archiveLive(contentStorage, contentBusId, path);
+      await contentStorage.remove(`${contentBusId}/live${path}`);
+      const outcome = await purgeDocuments(ctx, contentBusId, 'live', [path]);
+      queueChanges(ctx, contentBusId, 'live', [path]);
+      await notifyWebhooks(ctx, contentBusId, 'live', [path]);
+      return new Response('', {
+        status: 200,
+        headers: getPurgeHeaders(outcome),
+      });
+    }
+
+    /* istanbul ignore next */
+    return createErrorResponse({
+      log,
+      status: 400,
+      msg: `Action unknown: ${action}`,
+    });
+  } catch (e) {
+    // the number of attempts is only known for errors thrown by content-proxy
+    const headers = e.attempts ? { 'x-attempts': String(e.attempts) } : {};
+    if (e instanceof AbortError) {
+      return new Response(e.message, {
+        status: 504,
+        headers,
+      });
+    }
+    /* istanbul ignore next */
+    if (e instanceof FetchError) {
+      if (e.code === 'ECONNRESET') {
+        // connection reset by host: temporary network issue
+        return new Response(e.message, {
+          status: 504,
+          headers,
+        });
+      }
+    }
+    /* istanbul ignore next */
+    return createErrorResponse({ e, log });
+  }
+}
+
+/**
+ * Runs an action on a single path, and records it in the audit log if it changes
+ * the content bus. Failing to record it doesn't fail the action.
+ *
+ * @param {object} ctx action context
+ * @param {string} path path to process
+ * @returns {Response} the response
+ */
+async function processAuditedPath(ctx, path) {
+  const {
+    action, user, fstab, contentStorage, options, log,
+  } = ctx;
+
+  const start = Date.now();
+  const res = await processPath(ctx, path);
+  const mp = fstab.match(path);
+  if (!AUDITED_ACTIONS.includes(action) || !mp) {
+    return res;
+  }
+  try {
+    await writeAuditEntry(contentStorage, getContentBusId(mp), {
+      timestamp: new Date(start).toISOString(),
+      requestId: options.requestId,
+      user,
+      action,
+      path,
+      status: res.status,
+      duration: Date.now() - start,
+    });
+  } catch (e) {
+    log.warn(`Unable to write audit entry for ${path}: ${e.message}`);
+  }
+  return res;
+}
+
+/**
+ * Runs an action on a list of paths, and returns a report containing
+ * status, error message, duration, number of fetch attempts and purge outcome
+ * for every path.
+ *
+ * @param {object} ctx action context
+ * @param {string[]} paths paths to process
+ * @returns {object[]} the report
+ */
+async function processPaths(ctx, paths) {
+  const results = await processQueue(paths, ctx.concurrency, async (path) => {
+    const start = Date.now();
+    const res = await processAuditedPath(ctx, path);
+    const result = {
+      path,
+      status: res.status,
+      duration: Date.now() - start,
+    };
+    if (res.headers.has('x-content-changed')) {
+      result.changed = res.headers.get('x-content-changed') === 'true';
+    }
+    if (res.headers.has('x-attempts')) {
+      result.attempts = Number(res.headers.get('x-attempts'));
+    }
+    if (res.headers.has('x-purge')) {
+      result.purge = res.headers.get('x-purge');
+    }
+    if (res.headers.has('x-error')) {
+      result.error = res.headers.get('x-error');
+    }
+    return result;
+  });
+  return results;
+}
+
+/**
+ * Performs the due entries in the schedules of all content buses mounted in the
+ * fstab. Every entry is performed like the action it schedules, on behalf of the
+ * user who scheduled it.
+ *
+ * @param {object} ctx action context
+ * @returns {object[]} the processed entries
+ */
+async function processSchedules(ctx) {
+  const { fstab, contentStorage, concurrency } = ctx;
+  const contentBusIds = new Set(fstab.mountpoints.map((mp) => getContentBusId(mp)));
+  const results = [];
+  for (const contentBusId of contentBusIds) {
+    // eslint-disable-next-line no-await-in-loop
+    const processed = await processSchedule({
+      storage: contentStorage,
+      contentBusId,
+      concurrency,
+      perform: async (entry) => {
+        const res = await processAuditedPath({
+          ...ctx,
+          action: entry.action,
+          user: entry.user,
+        }, entry.path);
+        return {
+          status: res.status,
+          error: res.headers.get('x-error'),
+        };
+      },
+    });
+    results.push(...processed);
+  }
+  return results;
+}
+
+/**
+ * Actions that change the live partition, after which the sitemap is updated.
+ */
+const SITEMAP_ACTIONS = ['publish', 'unpublish', 'rollback', 'process-schedule'];
+
+/**
+ * Updates the sitemaps of the content buses with live documents remembered while
+ * processing the paths, if the sitemap is enabled. Failing to update a sitemap doesn't
+ * fail the action.
+ *
+ * @param {object} ctx action context
+ */
+async function updateSitemaps(ctx) {
+  const {
+    action, sitemap, changes, contentStorage, concurrency, log,
+  } = ctx;
+  if (!sitemap || !SITEMAP_ACTIONS.includes(action)) {
+    return;
+  }
+  const live = [...changes.values()].filter(({ partition }) => partition === 'live');
+  for (const { contentBusId, paths } of live) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await updateSitemap({
+        storage: contentStorage,
+        contentBusId,
+        paths: [...paths],
+        ...sitemap,
+        concurrency,
+        log,
+      });
+    } catch (e) {
+      log.warn(`Unable to update sitemap of ${contentBusId}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Updates the query indexes and sitemaps of the documents remembered while processing
+ * the paths.
+ *
+ * @param {object} ctx action context
+ */
+async function processChanges(ctx) {
+  await updateQueryIndexes(ctx);
+  await updateSitemaps(ctx);
+  ctx.changes.clear();
+}
+
 /**
  * Fetches content from content-proxy and stores it in an S3 bucket.
  *
@@ -50,44 +745,155 @@ function parseBoolean(value, defaultValue) {
 async function main(req, context) {
   const { env, log, resolver } = context;
   const {
-    AWS_S3_REGION, AWS_S3_ACCESS_KEY_ID, AWS_S3_SECRET_ACCESS_KEY,
-    HTTP_TIMEOUT_EXTERNAL,
+    HTTP_TIMEOUT_EXTERNAL, BULK_CONCURRENCY, RETRY_MAX_ATTEMPTS, RETRY_DELAY, RETRY_BUDGET,
+    FSTAB_CACHE_TTL, PURGE_URL, PURGE_TOKEN, PURGE_TYPE = 'surrogate-key', PURGE_ON_UPDATE,
+    WEBHOOK_URLS, WEBHOOK_SECRET, GITHUB_API_URL, SITEMAP_ENABLED, SITEMAP_HOST, SITEMAP_EXCLUDE,
+    QUERY_INDEX_ENABLED, QUERY_INDEX_FIELDS,
   } = env;
 
   const {
-    owner, repo, ref, path, prefix = 'live', action = 'update',
+    owner, repo, ref, paths, prefix = 'live', action = 'update', onMissing = 'keep',
+    partition, token, version, publisher, operation = 'publish', id, oldMountpoint,
   } = context.data;
 
+  const path = context.data.path || (PARTITION_ACTIONS.includes(action) ? '/' : '');
+  const limit = 'limit' in context.data ? Number(context.data.limit) : DEFAULT_LIST_LIMIT;
+
   const useLastModified = parseBoolean(context.data.useLastModified, false);
+  const recursive = parseBoolean(context.data.recursive, false);
+  const refreshFstab = parseBoolean(context.data.refreshFstab, false);
+  const dryRun = parseBoolean(context.data.dryRun, false);
 
-  if (!(owner && repo && ref && path)) {
+  // the `audit` action reads the log of the last day by default
+  const to = context.data.to ? new Date(context.data.to) : new Date();
+  const from = context.data.from ? new Date(context.data.from) : new Date(to - DEFAULT_AUDIT_RANGE);
+  const at = new Date(context.data.at);
+
+  if (!(owner && repo && ref && (path || paths))) {
     return createErrorResponse({
       status: 400,
       msg: 'owner, repo, ref, and path parameters are required',
     });
   }
+  if (!ACTIONS.includes(action)) {
+    return createErrorResponse({
+      status: 400,
+      msg: `Action unknown: ${action}`,
+    });
+  }
+  const pathList = [].concat(paths || []);
+  const invalid = pathList.findIndex((p) => typeof p !== 'string' || !p.startsWith('/'));
+  if (invalid >= 0) {
+    return createErrorResponse({
+      status: 400,
+      msg: `invalid path in paths: ${JSON.stringify(pathList[invalid])}`,
+    });
+  }
+  if (!ON_MISSING_MODES.includes(onMissing)) {
+    return createErrorResponse({
+      status: 400,
+      msg: `onMissing must be one of: ${ON_MISSING_MODES.join(', ')}`,
+    });
+  }
+  if (action === 'rollback' && !VERSION_PATTERN.test(version)) {
+    return createErrorResponse({
+      status: 400,
+      msg: `invalid version: ${version}`,
+    });
+  }
+  if (action === 'audit'
+    && !(from <= to && to - from <= MAX_AUDIT_RANGE)) {
+    return createErrorResponse({
+      status: 400,
+      msg: `invalid time range: ${context.data.from} - ${context.data.to}`,
+    });
+  }
+  if (action === 'schedule' && !SCHEDULED_ACTIONS.includes(operation)) {
+    return createErrorResponse({
+      status: 400,
+      msg: `operation must be one of: ${SCHEDULED_ACTIONS.join(', ')}`,
+    });
+  }
+  if (action === 'schedule' && !(at > Date.now())) {
+    return createErrorResponse({
+      status: 400,
+      msg: `at must be a time in the future: ${context.data.at}`,
+    });
+  }
+  if (action === 'migrate' && !oldMountpoint) {
+    return createErrorResponse({
+      status: 400,
+      msg: 'oldMountpoint parameter is required',
+    });
+  }
+  if (action === 'cancel-schedule' && !id) {
+    return createErrorResponse({
+      status: 400,
+      msg: 'id parameter is required',
+    });
+  }
+  if (PURGE_URL && !PURGE_TYPES.includes(PURGE_TYPE)) {
+    return createErrorResponse({
+      log,
+      status: 500,
+      msg: `PURGE_TYPE must be one of: ${PURGE_TYPES.join(', ')}`,
+    });
+  }
+  const webhookURLs = parseWebhookURLs(WEBHOOK_URLS);
+  if (webhookURLs.length && !WEBHOOK_SECRET) {
+    return createErrorResponse({
+      log,
+      status: 500,
+      msg: 'WEBHOOK_SECRET is required to sign webhook deliveries',
+    });
+  }
+  const indexEnabled = parseBoolean(QUERY_INDEX_ENABLED, false);
+  if (indexEnabled) {
+    try {
+      // the fields are resolved per content bus, but the configuration is checked upfront
+      parseIndexFields(QUERY_INDEX_FIELDS, owner, repo);
+    } catch (e) {
+      return createErrorResponse({ e, log });
+    }
+  }
+  if (action === 'list' && !PARTITIONS.includes(partition)) {
+    return createErrorResponse({
+      status: 400,
+      msg: `partition must be one of: ${PARTITIONS.join(', ')}`,
+    });
+  }
+  if (action === 'list' && !(Number.isInteger(limit) && limit >= 1)) {
+    return createErrorResponse({
+      status: 400,
+      msg: `limit must be a positive integer: ${context.data.limit}`,
+    });
+  }
 
   let codeStorage;
   let fstab;
 
   try {
-    codeStorage = new AWSStorage({
-      AWS_S3_REGION,
-      AWS_S3_ACCESS_KEY_ID,
-      AWS_S3_SECRET_ACCESS_KEY,
+    codeStorage = createStorage(env, {
       bucket: 'helix-code-bus',
       readOnly: true,
       log,
     });
-    const buffer = await codeStorage.load(`${owner}/${repo}/${ref}/fstab.yaml`);
-    if (!buffer) {
+    fstab = await loadFstab({
+      storage: codeStorage,
+      owner,
+      repo,
+      ref,
+      ttl: FSTAB_CACHE_TTL ? Number(FSTAB_CACHE_TTL) : undefined,
+      refresh: refreshFstab,
+      log,
+    });
+    if (!fstab) {
       return createErrorResponse({
         log,
         status: 400,
         msg: `${owner}/${repo}/${ref}/fstab.yaml not found in bucket 'helix-code-bus'`,
       });
     }
-    fstab = await new MountConfig().withSource(buffer.toString()).init();
   } catch (e) {
     /* istanbul ignore next */
     return createErrorResponse({ e, log });
@@ -98,15 +904,6 @@ async function main(req, context) {
     }
   }
 
-  const mp = fstab.match(path);
-  if (!mp) {
-    return createErrorResponse({
-      log,
-      status: 400,
-      msg: `path specified is not mounted in fstab.yaml: ${path}`,
-    });
-  }
-
   const options = {
     cache: 'no-store',
     fetchTimeout: HTTP_TIMEOUT_EXTERNAL || 20000,
@@ -117,80 +914,86 @@ async function main(req, context) {
     token: req.headers.get('x-github-token'),
   };
 
+  // only operations recorded in the audit log need to know who runs them
+  const user = AUDITED_ACTIONS.includes(action)
+    ? await getTokenOwner({ token: options.token, apiURL: GITHUB_API_URL, log })
+    : null;
+
   let contentStorage;
 
   try {
-    const sha256 = crypto
-      .createHash('sha256')
-      .update(mp.url)
-      .digest('hex');
-    const contentBusId = `${sha256.substr(0, 59)}`;
-
-    contentStorage = new AWSStorage({
-      AWS_S3_REGION,
-      AWS_S3_ACCESS_KEY_ID,
-      AWS_S3_SECRET_ACCESS_KEY,
+    contentStorage = createStorage(env, {
       bucket: 'helix-content-bus',
       log,
     });
 
-    if (action === 'update') {
-      const key = `${contentBusId}/${prefix}${path}`;
-
-      if (useLastModified) {
-        const metadata = await contentStorage.metadata(key);
-        if (metadata) {
-          options.lastModified = metadata['x-source-last-modified'];
-        }
-      }
-      const res = await contentProxy({
-        owner, repo, ref, path, mp, log, options, resolver,
-      });
-      if (!res.ok) {
-        return res;
-      }
-      await contentStorage.store(key, res);
-
-      // set container info if not present
-      const infoKey = `${contentBusId}/.hlx.json`;
-      if (!await contentStorage.load(infoKey)) {
-        const meta = {
-          mountpoint: mp.url,
-          'original-repository': `${owner}/${repo}`,
-        };
-        await contentStorage.storeData(infoKey, Buffer.from(JSON.stringify(meta, null, 2)), 'application/json', meta);
-
-        // create marker file so that the root folder is easy to find.
-        await contentStorage.storeData(`${contentBusId}--${owner}--${repo}`, '', 'text/plain', meta);
-      }
-      return new Response('', { status: 200 });
+    const ctx = {
+      owner,
+      repo,
+      ref,
+      prefix,
+      action,
+      onMissing,
+      useLastModified,
+      recursive,
+      partition,
+      limit: Math.min(limit, MAX_LIST_LIMIT),
+      token,
+      version,
+      publisher,
+      from,
+      to,
+      operation,
+      at,
+      id,
+      oldMountpoint,
+      dryRun,
+      user,
+      fstab,
+      contentStorage,
+      concurrency: Number(BULK_CONCURRENCY) || DEFAULT_BULK_CONCURRENCY,
+      retry: {
+        attempts: RETRY_MAX_ATTEMPTS,
+        delay: RETRY_DELAY,
+        budget: RETRY_BUDGET,
+      },
+      purgeOptions: PURGE_URL ? {
+        url: PURGE_URL,
+        token: PURGE_TOKEN,
+        type: PURGE_TYPE,
+        onUpdate: parseBoolean(PURGE_ON_UPDATE, false),
+      } : null,
+      sitemap: parseBoolean(SITEMAP_ENABLED, false) ? {
+        host: SITEMAP_HOST && SITEMAP_HOST.replace(/\/+$/, ''),
+        defaultHost: `https://${ref}--${repo}--${owner}.hlx.live`,
+        excludes: parseExcludes(SITEMAP_EXCLUDE),
+      } : null,
+      queryIndex: indexEnabled ? {
+        fields: QUERY_INDEX_FIELDS,
+      } : null,
+      changes: new Map(),
+      webhooks: webhookURLs.length ? {
+        urls: webhookURLs,
+        secret: WEBHOOK_SECRET,
+      } : null,
+      options,
+      log,
+      resolver,
+    };
+    if (action === 'process-schedule') {
+      const results = await processSchedules(ctx);
+      await processChanges(ctx);
+      return createJSONResponse({ results });
     }
-
-    if (action === 'publish') {
-      await contentStorage.copy(`${contentBusId}/preview${path}`, `${contentBusId}/live${path}`);
-      return new Response('', { status: 200 });
+    if (paths) {
+      const results = await processPaths(ctx, [].concat(paths));
+      await processChanges(ctx);
+      return createJSONResponse({ results });
     }
-
-    return createErrorResponse({
-      status: 400,
-      msg: `Action unknown: ${action}`,
-    });
+    const res = await processAuditedPath(ctx, path);
+    await processChanges(ctx);
+    return res;
   } catch (e) {
-    /* istanbul ignore next */
-    if (e instanceof AbortError) {
-      return new Response(e.message, {
-        status: 504,
-      });
-    }
-    /* istanbul ignore next */
-    if (e instanceof FetchError) {
-      if (e.code === 'ECONNRESET') {
-        // connection reset by host: temporary network issue
-        return new Response(e.message, {
-          status: 504,
-        });
-      }
-    }
     /* istanbul ignore next */
     return createErrorResponse({ e, log });
   } finally {
@@ -202,6 +1005,7 @@ async function main(req, context) {
 }
 
 module.exports.main = wrap(main)
+  .with(auth)
   .with(bodyData)
   .with(helixStatus)
   .with(logger.trace)
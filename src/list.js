@@ -0,0 +1,67 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { isGeneratedPath, processQueue } = require('./utils.js');
+
+/**
+ * Partitions of a content bus that can be listed.
+ */
+const PARTITIONS = ['preview', 'live'];
+
+/**
+ * Lists a page of documents below a folder in a content bus partition, along
+ * with their properties. Generated objects, like the query index and the sitemaps,
+ * are left out, so a page can contain fewer entries than the limit, and tombstones
+ * are flagged as `deleted`.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage content storage
+ * @param {string}   opts.contentBusId content bus id
+ * @param {string}   opts.partition partition, either `preview` or `live`
+ * @param {string}   opts.folder folder path, ending with a slash
+ * @param {number}   opts.limit maximum number of documents to return
+ * @param {string}   [opts.token] continuation token returned with the previous page
+ * @param {number}   opts.concurrency number of documents inspected in parallel
+ *
+ * @returns {object} object containing the `entries` and the `next` continuation token
+ */
+async function listDocuments(opts) {
+  const {
+    storage, contentBusId, partition, folder, limit, token, concurrency,
+  } = opts;
+
+  const base = `${contentBusId}/${partition}`;
+  const { objects, next } = await storage.listPage(`${base}${folder}`, { limit, token });
+
+  const documents = objects.filter(({ key }) => !isGeneratedPath(key.substring(base.length)));
+  const entries = await processQueue(documents, concurrency, async (object) => {
+    const { key, size, lastModified } = object;
+    // the object might have been removed in the meantime
+    const { contentType, metadata = {} } = (await storage.head(key)) || {};
+    return {
+      path: key.substring(base.length),
+      size,
+      lastModified,
+      contentType,
+      sourceLastModified: metadata['x-source-last-modified'],
+      deleted: !!metadata['x-deleted'],
+    };
+  });
+  return { entries, next };
+}
+
+module.exports = {
+  PARTITIONS,
+  listDocuments,
+};
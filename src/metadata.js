@@ -0,0 +1,113 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Maximum size in bytes of the user metadata of an S3 object, counting the
+ * names and values of all entries.
+ */
+const MAX_METADATA_SIZE = 2048;
+
+/**
+ * Pattern of a value encoded as RFC 2047 encoded word, which S3 also uses for
+ * metadata values that are not plain ASCII.
+ */
+const ENCODED_WORD_PATTERN = /^=\?UTF-8\?B\?([A-Za-z0-9+/=]*)\?=$/i;
+
+/**
+ * Pattern of the values that are stored as is: printable ASCII characters only.
+ */
+const PLAIN_VALUE_PATTERN = /^[\x20-\x7e]*$/;
+
+/**
+ * Encode a metadata value, if it contains characters that can't be sent in a header,
+ * or if it would be mistaken for an encoded value.
+ *
+ * @param {string} value metadata value
+ * @returns {string} value safe to store in S3
+ */
+function encodeValue(value) {
+  const text = String(value);
+  if (PLAIN_VALUE_PATTERN.test(text) && !ENCODED_WORD_PATTERN.test(text)) {
+    return text;
+  }
+  return `=?UTF-8?B?${Buffer.from(text, 'utf-8').toString('base64')}?=`;
+}
+
+/**
+ * Decode a metadata value encoded with `encodeValue`.
+ *
+ * @param {string} value stored metadata value
+ * @returns {string} original value
+ */
+function decodeValue(value) {
+  const match = ENCODED_WORD_PATTERN.exec(value);
+  return match ? Buffer.from(match[1], 'base64').toString('utf-8') : value;
+}
+
+/**
+ * Prepare metadata for S3: values that are not plain ASCII are encoded as RFC 2047
+ * encoded words, and if the metadata exceeds the size S3 accepts, the largest entries
+ * are dropped with a warning, so that the upload doesn't fail.
+ *
+ * @param {object} meta metadata
+ * @param {string} key object key, used in warnings
+ * @param {object} log logger
+ * @returns {object} metadata safe to store in S3
+ */
+function encodeMetadata(meta, key, log) {
+  const entries = Object.entries(meta)
+    .map(([name, value]) => [name, encodeValue(value)])
+    .sort(([n1, v1], [n2, v2]) => (n1.length + v1.length) - (n2.length + v2.length));
+
+  const encoded = {};
+  let size = 0;
+  entries.forEach(([name, value]) => {
+    if (size + name.length + value.length > MAX_METADATA_SIZE) {
+      log.warn(`Metadata ${name} of ${key} dropped: exceeds the size limit of ${MAX_METADATA_SIZE} bytes`);
+      return;
+    }
+    encoded[name] = value;
+    size += name.length + value.length;
+  });
+  return encoded;
+}
+
+/**
+ * Tells whether storing metadata would change the stored metadata.
+ *
+ * @param {object} stored stored metadata
+ * @param {object} meta metadata to store
+ * @returns {boolean} true if any entry is new or has a different value
+ */
+function isMetadataChanged(stored, meta) {
+  return Object.entries(meta).some(([name, value]) => stored[name] !== String(value));
+}
+
+/**
+ * Decode metadata loaded from S3.
+ *
+ * @param {object} [meta] stored metadata
+ * @returns {object} metadata with the original values
+ */
+function decodeMetadata(meta = {}) {
+  return Object.fromEntries(Object.entries(meta)
+    .map(([name, value]) => [name, decodeValue(value)]));
+}
+
+module.exports = {
+  MAX_METADATA_SIZE,
+  encodeMetadata,
+  decodeMetadata,
+  isMetadataChanged,
+};
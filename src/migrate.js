@@ -0,0 +1,240 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { loadContainerInfo } = require('./container-info.js');
+const { PARTITIONS } = require('./list.js');
+const { QUERY_INDEX_NAME, mergeQueryIndex } = require('./query-index.js');
+const { compareBy, processQueue, updateJSON } = require('./utils.js');
+
+/**
+ * Number of objects after which the progress of a migration is logged.
+ */
+const PROGRESS_INTERVAL = 100;
+
+/**
+ * Name of the container info, which is rewritten instead of copied.
+ */
+const INFO_NAME = '.hlx.json';
+
+/**
+ * Names of the state that belongs to the old content bus and is not copied: the
+ * schedule, whose entries would be performed for both content buses, and the sitemap
+ * state, which is created anew from the documents of the new content bus.
+ */
+const STATE_NAMES = [INFO_NAME, '.schedule.json', '.sitemap.json'];
+
+/**
+ * Prefix of the audit log, which records the history of the old content bus and is
+ * not copied.
+ */
+const AUDIT_PREFIX = '.audit/';
+
+/**
+ * Tells whether an object of the old content bus is copied to the new one.
+ *
+ * @param {string} name object key relative to the content bus
+ * @returns {boolean} true if the object is copied
+ */
+function isMigrated(name) {
+  return !STATE_NAMES.includes(name) && !name.startsWith(AUDIT_PREFIX);
+}
+
+/**
+ * Tells whether an object of a content bus is the query index of a partition.
+ *
+ * @param {string} name object key relative to the content bus
+ * @returns {boolean} true if the object is a query index
+ */
+function isQueryIndex(name) {
+  return PARTITIONS.some((partition) => name === `${partition}/${QUERY_INDEX_NAME}`);
+}
+
+/**
+ * Tells whether a repository mounts a content bus, i.e. is its original repository or
+ * recorded as one of its repositories.
+ *
+ * @param {object} info container info or null
+ * @param {string} owner the GitHub org or username
+ * @param {string} repo the GitHub repository
+ * @returns {boolean} true if the repository mounts the content bus
+ */
+function isMountedBy(info, owner, repo) {
+  if (!info) {
+    return false;
+  }
+  return info['original-repository'] === `${owner}/${repo}`
+    || (info.repositories || []).some((r) => r.owner === owner && r.repo === repo);
+}
+
+/**
+ * Merge the container info of the old content bus into the one of the new content bus.
+ * The repositories of both are kept, the mount point is replaced, and the old mount
+ * point is recorded as `migrated-from`.
+ *
+ * @param {object} oldInfo container info of the old content bus
+ * @param {object} newInfo container info of the new content bus or null
+ * @param {object} opts migration options
+ * @returns {object} merged container info
+ */
+function mergeContainerInfo(oldInfo, newInfo, opts) {
+  const {
+    oldContentBusId, oldMountpoint, newMountpoint, owner, repo,
+  } = opts;
+  const info = {
+    'original-repository': `${owner}/${repo}`,
+    ...oldInfo,
+    ...newInfo,
+  };
+  const repositories = [...(newInfo && newInfo.repositories) || []];
+  (oldInfo.repositories || []).forEach((r) => {
+    const isKnown = repositories.some((known) => known.owner === r.owner
+      && known.repo === r.repo && known.ref === r.ref);
+    if (!isKnown) {
+      repositories.push(r);
+    }
+  });
+  return {
+    ...info,
+    mountpoint: newMountpoint,
+    repositories,
+    'migrated-from': {
+      mountpoint: oldMountpoint,
+      contentBusId: oldContentBusId,
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Return the metadata stored with a container info, the same as `recordRepository` stores.
+ *
+ * @param {object} info container info
+ * @returns {object} metadata
+ */
+function getInfoMeta(info) {
+  return {
+    mountpoint: info.mountpoint,
+    'original-repository': info['original-repository'],
+  };
+}
+
+/**
+ * Migrate a content bus to a new mount point, by copying every object of the old
+ * content bus to the new one. Only a repository that mounts the old content bus can
+ * migrate it. Objects that already exist in the new content bus are skipped, so a
+ * migration can be resumed, and so are the audit log, the schedule and the sitemap
+ * state. The query indexes and the container info are merged into the ones of the new
+ * content bus, with conditional writes, and marker files are created for all its
+ * repositories.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage content storage
+ * @param {string}   opts.oldContentBusId content bus id of the old mount point
+ * @param {string}   opts.newContentBusId content bus id of the new mount point
+ * @param {string}   opts.oldMountpoint URL of the old mount point
+ * @param {string}   opts.newMountpoint URL of the new mount point
+ * @param {string}   opts.owner the GitHub org or username running the migration
+ * @param {string}   opts.repo the GitHub repository running the migration
+ * @param {boolean}  [opts.dryRun] whether to only report what would be copied
+ * @param {number}   opts.concurrency number of objects copied in parallel
+ * @param {object}   opts.log logger
+ *
+ * @returns {object} summary containing the number of objects `copied` and `skipped`,
+ * and the `failed` keys, or null if there is nothing to migrate
+ * @throws {Error} with status 403 if the repository doesn't mount the old content bus
+ */
+async function migrateContentBus(opts) {
+  const {
+    storage, oldContentBusId, newContentBusId, oldMountpoint, newMountpoint, owner, repo,
+    dryRun = false, concurrency, log,
+  } = opts;
+
+  const oldPrefix = `${oldContentBusId}/`;
+  const newPrefix = `${newContentBusId}/`;
+  const [objects, existing] = await Promise.all([
+    storage.list(oldPrefix),
+    storage.list(newPrefix),
+  ]);
+  if (!objects.length) {
+    return null;
+  }
+  const oldInfo = await loadContainerInfo(storage, oldContentBusId);
+  if (!isMountedBy(oldInfo, owner, repo)) {
+    const e = new Error(`${owner}/${repo} is not allowed to migrate: ${oldMountpoint}`);
+    e.status = 403;
+    throw e;
+  }
+  const migrated = new Set(existing.map(({ key }) => key.substring(newPrefix.length)));
+
+  const summary = {
+    dryRun,
+    total: objects.length,
+    copied: 0,
+    skipped: 0,
+    failed: [],
+  };
+  let processed = 0;
+  await processQueue(objects, concurrency, async ({ key }) => {
+    const name = key.substring(oldPrefix.length);
+    // the query indexes of both content buses are merged, as they index different documents
+    if (!isMigrated(name) || (migrated.has(name) && !isQueryIndex(name))) {
+      summary.skipped += 1;
+    } else {
+      try {
+        if (!dryRun) {
+          const dest = `${newPrefix}${name}`;
+          await (isQueryIndex(name)
+            ? mergeQueryIndex(storage, key, dest)
+            : storage.copy(key, dest));
+        }
+        summary.copied += 1;
+      } catch (e) {
+        log.warn(`Unable to migrate ${key}: ${e.message}`);
+        summary.failed.push({ key, error: e.message });
+      }
+    }
+    processed += 1;
+    if (processed % PROGRESS_INTERVAL === 0) {
+      log.info(`Migrating ${oldContentBusId}: ${processed}/${objects.length} objects processed`);
+    }
+  });
+  summary.failed.sort(compareBy('key'));
+
+  if (!dryRun) {
+    // repositories mounting the new content bus might record themselves at the same time
+    const info = await updateJSON(storage, `${newPrefix}${INFO_NAME}`, (newInfo) => (
+      mergeContainerInfo(oldInfo, newInfo, {
+        oldContentBusId, oldMountpoint, newMountpoint, owner, repo,
+      })
+    ), { getMeta: getInfoMeta });
+    const meta = getInfoMeta(info);
+
+    // create marker files so that the root folder is easy to find
+    const markers = new Set([
+      `${owner}--${repo}`,
+      ...info.repositories.map((r) => `${r.owner}--${r.repo}`),
+    ]);
+    await Promise.all([...markers].map((marker) => storage.storeData(
+      `${newContentBusId}--${marker}`, '', 'text/plain', meta,
+    )));
+  }
+
+  log.info(`${dryRun ? 'Dry run of migrating' : 'Migrated'} ${oldContentBusId} to ${newContentBusId}: `
+    + `${summary.copied} copied, ${summary.skipped} skipped, ${summary.failed.length} failed`);
+  return summary;
+}
+
+module.exports = {
+  migrateContentBus,
+};
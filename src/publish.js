@@ -0,0 +1,86 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { compareBy, isGeneratedPath, processQueue } = require('./utils.js');
+const { publishDocument } = require('./versions.js');
+
+/**
+ * Publishes all documents below a folder, by copying every preview object to its
+ * live counterpart. Objects whose live copy is at least as recent as the preview,
+ * tombstones of documents whose source is gone, and generated objects like the query
+ * index of the preview partition are skipped.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage content storage
+ * @param {string}   opts.contentBusId content bus id
+ * @param {string}   opts.folder folder path, ending with a slash
+ * @param {number}   opts.concurrency number of objects copied in parallel
+ * @param {string}   [opts.user] owner of the GitHub token publishing the documents
+ * @param {string}   [opts.publisher] who claims to publish the documents
+ * @param {object}   opts.log logger
+ *
+ * @returns {object} summary containing the `copied`, `skipped` and `failed` keys
+ */
+async function publishFolder(opts) {
+  const {
+    storage, contentBusId, folder, concurrency, user, publisher, log,
+  } = opts;
+
+  const previewPrefix = `${contentBusId}/preview${folder}`;
+  const livePrefix = `${contentBusId}/live${folder}`;
+
+  const [previews, lives] = await Promise.all([
+    storage.list(previewPrefix),
+    storage.list(livePrefix),
+  ]);
+  const published = new Map(lives.map(({ key, lastModified }) => [key, lastModified]));
+
+  const summary = {
+    copied: [],
+    skipped: [],
+    failed: [],
+  };
+  await processQueue(previews, concurrency, async ({ key, lastModified }) => {
+    const path = `${folder}${key.substring(previewPrefix.length)}`;
+    const dest = `${livePrefix}${key.substring(previewPrefix.length)}`;
+    if (isGeneratedPath(path)
+      || (published.has(dest) && published.get(dest) >= lastModified)) {
+      summary.skipped.push(key);
+      return;
+    }
+    try {
+      await publishDocument({
+        storage, contentBusId, path, src: key, user, publisher,
+      });
+      summary.copied.push(key);
+    } catch (e) {
+      if (e.status === 404) {
+        summary.skipped.push(key);
+        return;
+      }
+      log.warn(`Unable to publish ${key}: ${e.message}`);
+      summary.failed.push({ key, error: e.message });
+    }
+  });
+
+  summary.copied.sort();
+  summary.skipped.sort();
+  summary.failed.sort(compareBy('key'));
+  log.info(`Published ${folder}: ${summary.copied.length} copied, ${summary.skipped.length} skipped, ${summary.failed.length} failed`);
+  return summary;
+}
+
+module.exports = {
+  publishFolder,
+};
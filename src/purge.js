@@ -0,0 +1,92 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { getWebPath, postWithRetry } = require('./utils.js');
+
+/**
+ * Kinds of purge requests: by surrogate key or by URL.
+ */
+const PURGE_TYPES = ['surrogate-key', 'url'];
+
+/**
+ * Return the URL a document is served from, e.g. `/blog/index.md` in the
+ * live partition is served from `https://main--repo--owner.hlx.live/blog/`.
+ *
+ * @param {object} opts options
+ * @param {string} opts.owner the GitHub org or username
+ * @param {string} opts.repo the GitHub repository
+ * @param {string} opts.ref the GitHub ref
+ * @param {string} opts.partition either `preview` or `live`
+ * @param {string} path document path
+ * @returns {string} URL of the document
+ */
+function getDocumentURL({
+  owner, repo, ref, partition,
+}, path) {
+  const host = `${ref}--${repo}--${owner}.hlx.${partition === 'live' ? 'live' : 'page'}`;
+  return `https://${host}${getWebPath(path)}`;
+}
+
+/**
+ * Tell the CDN to purge documents, by sending a POST request to a purge endpoint.
+ * The request body is a JSON object with the purge `type` and either the surrogate
+ * `keys` or the `urls` to purge. The surrogate key of a document is its key in the
+ * content bus, e.g. `<contentBusId>/live/blog/index.md`. Failed requests are retried,
+ * see `postWithRetry`.
+ *
+ * @param {object}   opts options
+ * @param {string}   opts.url purge endpoint
+ * @param {string}   [opts.token] token sent as bearer authorization
+ * @param {string}   [opts.type] either `surrogate-key` (default) or `url`
+ * @param {string}   opts.owner the GitHub org or username
+ * @param {string}   opts.repo the GitHub repository
+ * @param {string}   opts.ref the GitHub ref
+ * @param {string}   opts.contentBusId content bus id
+ * @param {string}   opts.partition either `preview` or `live`
+ * @param {string[]} opts.paths paths of the documents to purge
+ * @param {object}   [opts.retry] retry policy, containing `attempts`, `delay` and `budget`
+ * @param {object}   opts.log logger
+ *
+ * @returns {object} outcome containing the `status`, either `ok` or `failed`, the number
+ * of `attempts` made and the `error` of the last attempt if it failed
+ */
+async function purge(opts) {
+  const {
+    url, token, type = 'surrogate-key', contentBusId, partition, paths, retry, log,
+  } = opts;
+
+  const body = type === 'url'
+    ? { type, urls: paths.map((path) => getDocumentURL(opts, path)) }
+    : { type, keys: paths.map((path) => `${contentBusId}/${partition}${path}`) };
+  const headers = {
+    'content-type': 'application/json',
+  };
+  if (token) {
+    headers.authorization = `Bearer ${token}`;
+  }
+
+  const outcome = await postWithRetry(url, JSON.stringify(body), { headers, retry, log });
+  if (outcome.status === 'ok') {
+    log.info(`Purged ${paths.length} documents in ${partition} after ${outcome.attempts} attempts`);
+  } else {
+    log.warn(`Unable to purge ${paths.length} documents in ${partition}: ${outcome.error}`);
+  }
+  return outcome;
+}
+
+module.exports = {
+  PURGE_TYPES,
+  getDocumentURL,
+  purge,
+};
@@ -0,0 +1,252 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const {
+  compareBy, getWebPath, processQueue, updateJSON,
+} = require('./utils.js');
+
+/**
+ * Fields of an index entry, unless configured otherwise. Every entry also
+ * contains the web `path` of its document.
+ */
+const DEFAULT_INDEX_FIELDS = ['title', 'description', 'image', 'lastModified'];
+
+/**
+ * Name of the index in a partition.
+ */
+const QUERY_INDEX_NAME = 'query-index.json';
+
+/**
+ * Parse the fields of the index entries of a site. The configuration is either a
+ * comma separated list of fields used for every site, or a JSON object mapping
+ * `owner/repo` to such a list, with `*` as fallback for the sites not listed.
+ *
+ * @param {string} [value] fields configuration
+ * @param {string} owner the GitHub org or username
+ * @param {string} repo the GitHub repository
+ * @returns {string[]} fields
+ * @throws {Error} with status 500 if the configuration is not valid JSON
+ */
+function parseIndexFields(value, owner, repo) {
+  let list = value;
+  if (value && value.trim().startsWith('{')) {
+    let config;
+    try {
+      config = JSON.parse(value);
+    } catch (e) {
+      const err = new Error(`QUERY_INDEX_FIELDS is not valid JSON: ${e.message}`);
+      err.status = 500;
+      throw err;
+    }
+    list = config[`${owner}/${repo}`] || config['*'];
+  }
+  if (!list) {
+    return DEFAULT_INDEX_FIELDS;
+  }
+  return String(list)
+    .split(',')
+    .map((field) => field.trim())
+    .filter((field) => !!field && field !== 'path');
+}
+
+/**
+ * Split a row of a markdown table into its cells.
+ *
+ * @param {string} line table row
+ * @returns {string[]} cell contents
+ */
+function splitRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split('|')
+    .map((cell) => cell.trim());
+}
+
+/**
+ * Extract the properties of a markdown document: the `title` from its first heading,
+ * the `description` from its first paragraph, the `image` from its first image, and
+ * the rows of its metadata block, i.e. a table with `Metadata` as first header. The
+ * names of the metadata are lower case, with spaces replaced by dashes, and their
+ * values take precedence over the extracted properties.
+ *
+ * @param {string} markdown document contents
+ * @returns {object} properties
+ */
+function extractProperties(markdown) {
+  const properties = {};
+  const metadata = {};
+  let table = null;
+
+  markdown.split(/\r?\n/).forEach((line) => {
+    const text = line.trim();
+    if (text.startsWith('|')) {
+      if (!table) {
+        table = { metadata: /^metadata$/i.test(splitRow(text)[0]) };
+      } else if (table.metadata && !/^[|:\-\s]+$/.test(text)) {
+        const [name, value = ''] = splitRow(text);
+        if (name) {
+          metadata[name.toLowerCase().replace(/\s+/g, '-')] = value;
+        }
+      }
+      return;
+    }
+    table = null;
+
+    const image = /!\[[^\]]*\]\(([^)\s]+)[^)]*\)/.exec(text);
+    if (image && !properties.image) {
+      [, properties.image] = image;
+    }
+    const heading = /^#{1,6}\s+(.*)$/.exec(text);
+    if (heading) {
+      if (!properties.title) {
+        properties.title = heading[1].replace(/\s+#+$/, '').trim();
+      }
+    } else if (text && !image && !properties.description) {
+      properties.description = text;
+    }
+  });
+  return { ...properties, ...metadata };
+}
+
+/**
+ * Create the index entry of a document.
+ *
+ * @param {string} path web path of the document
+ * @param {string} markdown document contents
+ * @param {object} metadata document metadata
+ * @param {string[]} fields fields of the entry
+ * @returns {object} index entry
+ */
+function createEntry(path, markdown, metadata, fields) {
+  const properties = extractProperties(markdown);
+  const lastModified = Date.parse(metadata['x-source-last-modified']);
+  if (!Number.isNaN(lastModified)) {
+    properties.lastModified = Math.floor(lastModified / 1000);
+  }
+  const entry = { path };
+  fields.forEach((field) => {
+    entry[field] = field in properties ? properties[field] : '';
+  });
+  return entry;
+}
+
+/**
+ * Create an index in the format of a Helix sheet, with its entries in `data`, sorted by path.
+ *
+ * @param {Iterable<object>} entries index entries
+ * @returns {object} index
+ */
+function createIndex(entries) {
+  const data = [...entries].sort(compareBy('path'));
+  return {
+    total: data.length,
+    offset: 0,
+    limit: data.length,
+    data,
+  };
+}
+
+/**
+ * Update the entries of documents in the `query-index.json` of a partition. Documents
+ * that exist get their entry added or updated, while the entries of documents that
+ * were removed or replaced by a tombstone are removed. The index has the format of
+ * a Helix sheet, with the entries in `data`, sorted by path. It is written with a
+ * conditional write, so that concurrent updates don't overwrite each other.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage content storage
+ * @param {string}   opts.contentBusId content bus id
+ * @param {string}   opts.partition partition the documents are stored in
+ * @param {string[]} opts.paths paths of the documents that changed
+ * @param {string[]} [opts.fields] fields of the entries
+ * @param {number}   opts.concurrency number of documents inspected in parallel
+ * @param {object}   opts.log logger
+ *
+ * @returns {object} object containing the number of `updated` and `removed` entries
+ */
+async function updateQueryIndex(opts) {
+  const {
+    storage, contentBusId, partition, paths, fields = DEFAULT_INDEX_FIELDS, concurrency, log,
+  } = opts;
+
+  const base = `${contentBusId}/${partition}`;
+  const documents = paths.filter((path) => path.endsWith('.md'));
+  const changes = await processQueue(documents, concurrency, async (path) => {
+    const webPath = getWebPath(path);
+    const info = await storage.head(`${base}${path}`);
+    if (!info || info.metadata['x-deleted']) {
+      return { path: webPath, entry: null };
+    }
+    const markdown = (await storage.load(`${base}${path}`)).toString();
+    return { path: webPath, entry: createEntry(webPath, markdown, info.metadata, fields) };
+  });
+
+  // other invocations might update the index at the same time
+  let updated;
+  let removed;
+  await updateJSON(storage, `${base}/${QUERY_INDEX_NAME}`, (index) => {
+    const entries = new Map((index ? index.data : []).map((entry) => [entry.path, entry]));
+    updated = 0;
+    removed = 0;
+    changes.forEach(({ path, entry }) => {
+      if (entry) {
+        entries.set(path, entry);
+        updated += 1;
+      } else if (entries.delete(path)) {
+        removed += 1;
+      }
+    });
+    return createIndex(entries.values());
+  });
+  log.info(`Updated query index of ${base}: ${updated} updated, ${removed} removed`);
+  return { updated, removed };
+}
+
+/**
+ * Add the entries of a query index to another one, e.g. when a content bus is migrated,
+ * keeping the entries the other index already has. The index is written with a
+ * conditional write, like in `updateQueryIndex`.
+ *
+ * @param {object} storage content storage
+ * @param {string} src key of the index whose entries are added
+ * @param {string} dest key of the index the entries are added to
+ * @returns {number} number of entries added
+ */
+async function mergeQueryIndex(storage, src, dest) {
+  const { data } = JSON.parse((await storage.load(src)).toString());
+  let added;
+  await updateJSON(storage, dest, (index) => {
+    const entries = new Map((index ? index.data : []).map((entry) => [entry.path, entry]));
+    added = 0;
+    data.forEach((entry) => {
+      if (!entries.has(entry.path)) {
+        entries.set(entry.path, entry);
+        added += 1;
+      }
+    });
+    return createIndex(entries.values());
+  });
+  return added;
+}
+
+module.exports = {
+  DEFAULT_INDEX_FIELDS,
+  QUERY_INDEX_NAME,
+  parseIndexFields,
+  extractProperties,
+  updateQueryIndex,
+  mergeQueryIndex,
+};
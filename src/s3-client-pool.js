@@ -0,0 +1,106 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const { S3Client } = require('@aws-sdk/client-s3');
+
+/**
+ * Create an S3 client. The credentials are only used if all of them are given.
+ *
+ * @param {object} config client configuration
+ * @param {string} config.region AWS region
+ * @param {string} config.accessKeyId AWS access key
+ * @param {string} config.secretAccessKey AWS secret access key
+ * @param {object} log logger
+ * @returns {S3Client} S3 client
+ */
+function createS3Client({ region, accessKeyId, secretAccessKey }, log) {
+  if (region && accessKeyId && secretAccessKey) {
+    log.info('Creating S3Client with credentials');
+    return new S3Client({
+      region,
+      credentials: {
+        accessKeyId,
+        secretAccessKey,
+      },
+    });
+  }
+  log.info('Creating S3Client without credentials');
+  return new S3Client();
+}
+
+/**
+ * Pool of S3 clients, keyed by region and credentials. Clients stay in the pool
+ * when the storage that borrowed them is closed, so that subsequent invocations
+ * in the same container reuse their keep-alive connections.
+ */
+class S3ClientPool {
+  constructor() {
+    this._clients = new Map();
+  }
+
+  /**
+   * Return the pooled client for a configuration, creating it if necessary.
+   *
+   * @param {object} config client configuration, see `createS3Client`
+   * @param {object} log logger
+   * @returns {S3Client} S3 client
+   */
+  acquire(config, log) {
+    const { region, accessKeyId, secretAccessKey } = config;
+    const key = crypto.createHash('sha256')
+      .update(JSON.stringify([region, accessKeyId, secretAccessKey]))
+      .digest('hex');
+    let client = this._clients.get(key);
+    if (client) {
+      log.info('Reusing pooled S3Client');
+    } else {
+      client = createS3Client(config, log);
+      this._clients.set(key, client);
+    }
+    return client;
+  }
+
+  /**
+   * Remove a client from the pool and destroy it.
+   *
+   * @param {S3Client} client S3 client
+   */
+  evict(client) {
+    this._clients.forEach((value, key) => {
+      if (value === client) {
+        this._clients.delete(key);
+      }
+    });
+    client.destroy();
+  }
+
+  /**
+   * Destroy all clients in the pool.
+   */
+  destroy() {
+    this._clients.forEach((client) => client.destroy());
+    this._clients.clear();
+  }
+
+  get size() {
+    return this._clients.size;
+  }
+}
+
+module.exports = {
+  S3ClientPool,
+  createS3Client,
+};
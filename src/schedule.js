@@ -0,0 +1,228 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { compareBy, processQueue, updateJSON } = require('./utils.js');
+
+/**
+ * Actions that can be scheduled.
+ */
+const SCHEDULED_ACTIONS = ['publish', 'unpublish'];
+
+/**
+ * Time in milliseconds processed and cancelled entries are kept in the schedule.
+ */
+const SCHEDULE_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Time in milliseconds after which a running entry is considered abandoned, e.g. because
+ * the invocation performing it was killed, and is performed again. It exceeds the
+ * maximum duration of an invocation.
+ */
+const RUNNING_TIMEOUT = 15 * 60 * 1000;
+
+/**
+ * Return the key of the schedule of a content bus.
+ *
+ * @param {string} contentBusId content bus id
+ * @returns {string} schedule key
+ */
+function getScheduleKey(contentBusId) {
+  return `${contentBusId}/.schedule.json`;
+}
+
+/**
+ * Load the entries of a schedule.
+ *
+ * @param {object} storage content storage
+ * @param {string} contentBusId content bus id
+ * @returns {object[]} entries, or an empty list if there is no schedule yet
+ */
+async function loadSchedule(storage, contentBusId) {
+  const buf = await storage.load(getScheduleKey(contentBusId));
+  return buf ? JSON.parse(buf.toString()).entries : [];
+}
+
+/**
+ * Update the entries of a schedule with a conditional write, so that concurrent
+ * updates don't overwrite each other. The entries that were processed or cancelled
+ * longer ago than they are kept are dropped.
+ *
+ * @param {object} storage content storage
+ * @param {string} contentBusId content bus id
+ * @param {function} update function receiving the entries and returning the entries to
+ * store, or null to leave the schedule as is. It is called again if the schedule was
+ * modified concurrently
+ */
+async function updateSchedule(storage, contentBusId, update) {
+  await updateJSON(storage, getScheduleKey(contentBusId), (schedule) => {
+    const entries = update(schedule ? schedule.entries : []);
+    if (!entries) {
+      return null;
+    }
+    const since = new Date(Date.now() - SCHEDULE_RETENTION).toISOString();
+    return {
+      entries: entries.filter(({ status, updated }) => ['pending', 'running'].includes(status)
+        || updated >= since),
+    };
+  });
+}
+
+/**
+ * Add a pending entry to a schedule.
+ *
+ * @param {object} storage content storage
+ * @param {string} contentBusId content bus id
+ * @param {object} opts entry options
+ * @param {string} opts.action action to perform, either `publish` or `unpublish`
+ * @param {string} opts.path document path
+ * @param {Date}   opts.at time the action is due
+ * @param {string} opts.user user scheduling the action
+ * @returns {object} the added entry
+ */
+async function addScheduleEntry(storage, contentBusId, opts) {
+  const {
+    action, path, at, user,
+  } = opts;
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    action,
+    path,
+    at: at.toISOString(),
+    user,
+    status: 'pending',
+    created: now,
+    updated: now,
+  };
+  await updateSchedule(storage, contentBusId, (entries) => [...entries, entry]);
+  return entry;
+}
+
+/**
+ * List the entries of a schedule, filtered by path.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage content storage
+ * @param {string}   opts.contentBusId content bus id
+ * @param {string}   opts.path document path, or folder if it ends with a slash
+ *
+ * @returns {object} object containing the matching `entries`, sorted by the time they are due
+ */
+async function listSchedule(opts) {
+  const { storage, contentBusId, path } = opts;
+  const entries = await loadSchedule(storage, contentBusId);
+  return {
+    entries: entries
+      .filter((entry) => (path.endsWith('/') ? entry.path.startsWith(path) : entry.path === path))
+      .sort(compareBy('at')),
+  };
+}
+
+/**
+ * Cancel a pending entry of a schedule. Entries that are already running can't be
+ * cancelled anymore.
+ *
+ * @param {object} storage content storage
+ * @param {string} contentBusId content bus id
+ * @param {string} id entry id
+ * @returns {object} the cancelled entry or null if there is no pending entry with that id
+ */
+async function cancelScheduleEntry(storage, contentBusId, id) {
+  let cancelled = null;
+  await updateSchedule(storage, contentBusId, (entries) => {
+    const entry = entries.find((e) => e.id === id && e.status === 'pending');
+    cancelled = entry ? {
+      ...entry,
+      status: 'cancelled',
+      updated: new Date().toISOString(),
+    } : null;
+    return cancelled && entries.map((e) => (e === entry ? cancelled : e));
+  });
+  return cancelled;
+}
+
+/**
+ * Tells whether an entry is due to be performed: it is pending and its time has come,
+ * or it was abandoned while running.
+ *
+ * @param {object} entry schedule entry
+ * @param {Date} now current time
+ * @returns {boolean} true if the entry is due
+ */
+function isDue({ status, at, updated }, now) {
+  if (status === 'running') {
+    return now - new Date(updated) > RUNNING_TIMEOUT;
+  }
+  return status === 'pending' && new Date(at) <= now;
+}
+
+/**
+ * Perform the entries of a schedule that are due, and record their results. The due
+ * entries are claimed first, by marking them `running` with a conditional write, so
+ * that overlapping invocations don't perform them twice and they can't be cancelled
+ * anymore. An entry is `done` if it was performed successfully, and `failed` otherwise.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage content storage
+ * @param {string}   opts.contentBusId content bus id
+ * @param {Date}     [opts.now] time to compare with the time the entries are due
+ * @param {number}   opts.concurrency number of entries performed in parallel
+ * @param {function} opts.perform function performing an entry, returning its `status`
+ *                   and, if it failed, the `error`
+ *
+ * @returns {object[]} the processed entries
+ */
+async function processSchedule(opts) {
+  const {
+    storage, contentBusId, now = new Date(), concurrency, perform,
+  } = opts;
+
+  let claimed = [];
+  await updateSchedule(storage, contentBusId, (entries) => {
+    const updated = new Date().toISOString();
+    claimed = entries
+      .filter((entry) => isDue(entry, now))
+      .map((entry) => ({ ...entry, status: 'running', updated }));
+    const running = new Map(claimed.map((entry) => [entry.id, entry]));
+    return claimed.length ? entries.map((entry) => running.get(entry.id) || entry) : null;
+  });
+  if (!claimed.length) {
+    return [];
+  }
+
+  const processed = await processQueue(claimed, concurrency, async (entry) => {
+    const { status, error } = await perform(entry);
+    const result = error ? { status, error } : { status };
+    return {
+      ...entry,
+      status: status === 200 ? 'done' : 'failed',
+      updated: new Date().toISOString(),
+      result,
+    };
+  });
+
+  const results = new Map(processed.map((entry) => [entry.id, entry]));
+  await updateSchedule(storage, contentBusId, (entries) => entries
+    .map((entry) => results.get(entry.id) || entry));
+  return processed;
+}
+
+module.exports = {
+  SCHEDULED_ACTIONS,
+  addScheduleEntry,
+  listSchedule,
+  cancelScheduleEntry,
+  processSchedule,
+};
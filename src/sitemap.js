@@ -0,0 +1,318 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { getWebPath, processQueue, updateJSON } = require('./utils.js');
+
+/**
+ * Maximum number of URLs in a sitemap, as defined by the sitemap protocol.
+ */
+const MAX_SITEMAP_URLS = 50000;
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+/**
+ * Pattern of the names of the sitemaps referenced by a sitemap index.
+ */
+const SITEMAP_PART_PATTERN = /^\/sitemap-([0-9]+)\.xml$/;
+
+/**
+ * Escape a value for use in XML.
+ *
+ * @param {string} value value to escape
+ * @returns {string} escaped value
+ */
+function escapeXML(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Parse a comma separated list of excluded paths, where `*` matches any characters.
+ *
+ * @param {string} [value] list of paths
+ * @returns {RegExp[]} patterns of the excluded paths
+ */
+function parseExcludes(value = '') {
+  return value
+    .split(',')
+    .map((path) => path.trim())
+    .filter((path) => !!path)
+    .map((path) => new RegExp(`^${path
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')}$`));
+}
+
+/**
+ * Return the last modification time of a source in the W3C datetime format.
+ *
+ * @param {string} [value] last modification time, e.g. `Fri, 07 May 2021 18:03:19 GMT`
+ * @returns {string} formatted time or null if it is missing or invalid
+ */
+function formatLastMod(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Render a sitemap.
+ *
+ * @param {object[]} urls URLs containing the `loc` and optional `lastmod`
+ * @returns {string} sitemap XML
+ */
+function renderSitemap(urls) {
+  const lines = [XML_DECLARATION, `<urlset xmlns="${SITEMAP_NAMESPACE}">`];
+  urls.forEach(({ loc, lastmod }) => {
+    lines.push('  <url>', `    <loc>${escapeXML(loc)}</loc>`);
+    if (lastmod) {
+      lines.push(`    <lastmod>${lastmod}</lastmod>`);
+    }
+    lines.push('  </url>');
+  });
+  lines.push('</urlset>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Render a sitemap index.
+ *
+ * @param {string[]} locs URLs of the sitemaps
+ * @returns {string} sitemap index XML
+ */
+function renderSitemapIndex(locs) {
+  const lines = [XML_DECLARATION, `<sitemapindex xmlns="${SITEMAP_NAMESPACE}">`];
+  locs.forEach((loc) => {
+    lines.push('  <sitemap>', `    <loc>${escapeXML(loc)}</loc>`, '  </sitemap>');
+  });
+  lines.push('</sitemapindex>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Return the key of the sitemap state of a content bus.
+ *
+ * @param {string} contentBusId content bus id
+ * @returns {string} state key
+ */
+function getStateKey(contentBusId) {
+  return `${contentBusId}/.sitemap.json`;
+}
+
+/**
+ * Return the sitemap entry of a live document.
+ *
+ * @param {object} [info] document info, or null if it doesn't exist
+ * @returns {object} entry containing the `lastmod`, or null if the document is not listed
+ */
+function createEntry(info) {
+  if (!info || info.metadata['x-deleted']) {
+    return null;
+  }
+  return { lastmod: formatLastMod(info.metadata['x-source-last-modified']) };
+}
+
+/**
+ * Create the initial sitemap state from all live documents, used when there is no
+ * stored state yet.
+ *
+ * @param {object} storage content storage
+ * @param {string} base key prefix of the live partition
+ * @param {number} concurrency number of documents inspected in parallel
+ * @returns {object} state containing the `urls` and the number of `sitemaps` stored
+ */
+async function createState(storage, base, concurrency) {
+  const objects = await storage.list(`${base}/`);
+  const documents = objects.filter(({ key }) => key.endsWith('.md'));
+  const urls = {};
+  await processQueue(documents, concurrency, async ({ key }) => {
+    // the document might have been removed in the meantime
+    const metadata = await storage.metadata(key);
+    const entry = createEntry(metadata && { metadata });
+    if (entry) {
+      urls[getWebPath(key.substring(base.length))] = entry.lastmod;
+    }
+  });
+  const sitemaps = objects
+    .filter(({ key }) => SITEMAP_PART_PATTERN.test(key.substring(base.length)))
+    .length;
+  return { urls, sitemaps };
+}
+
+/**
+ * Return the URLs of a sitemap state, sorted by web path.
+ *
+ * @param {object} state sitemap state, containing the `host` and the `urls`
+ * @param {RegExp[]} excludes patterns of the web paths to leave out
+ * @returns {object[]} URLs containing the `loc` and `lastmod`
+ */
+function getURLs({ host, urls }, excludes) {
+  return Object.keys(urls)
+    .filter((path) => !excludes.some((exclude) => exclude.test(path)))
+    .sort()
+    .map((path) => ({ loc: `${host}${path}`, lastmod: urls[path] }));
+}
+
+/**
+ * Return the number of sitemaps the URLs are split into, or 0 if they fit in `sitemap.xml`.
+ *
+ * @param {object[]} urls URLs of the sitemap
+ * @param {number} maxURLs maximum number of URLs in a sitemap
+ * @returns {number} number of sitemaps
+ */
+function countParts(urls, maxURLs) {
+  return urls.length > maxURLs ? Math.ceil(urls.length / maxURLs) : 0;
+}
+
+/**
+ * Write the sitemaps of a state and remove the parts left over from a bigger sitemap.
+ *
+ * @param {object} storage content storage
+ * @param {string} base key prefix of the live partition
+ * @param {object} state sitemap state
+ * @param {RegExp[]} excludes patterns of the web paths to leave out
+ * @param {number} maxURLs maximum number of URLs in a sitemap
+ * @param {number} previous number of parts that might exist
+ * @returns {object} object containing the number of `urls` and `sitemaps`
+ */
+async function writeSitemaps(storage, base, state, excludes, maxURLs, previous) {
+  const urls = getURLs(state, excludes);
+  const parts = [];
+  for (let i = 0; i < countParts(urls, maxURLs); i += 1) {
+    parts.push(urls.slice(i * maxURLs, (i + 1) * maxURLs));
+  }
+  await Promise.all(parts.map((part, i) => storage.storeData(
+    `${base}/sitemap-${i + 1}.xml`,
+    Buffer.from(renderSitemap(part)),
+    'application/xml',
+  )));
+  const sitemap = parts.length
+    ? renderSitemapIndex(parts.map((_, i) => `${state.host}/sitemap-${i + 1}.xml`))
+    : renderSitemap(urls);
+  await storage.storeData(`${base}/sitemap.xml`, Buffer.from(sitemap), 'application/xml');
+
+  const stale = [];
+  for (let i = parts.length + 1; i <= previous; i += 1) {
+    stale.push(`${base}/sitemap-${i}.xml`);
+  }
+  await Promise.all(stale.map(async (key) => {
+    try {
+      await storage.remove(key);
+    } catch (e) {
+      // already removed by a concurrent update
+      if (e.status !== 404) {
+        throw e;
+      }
+    }
+  }));
+  return {
+    urls: urls.length,
+    sitemaps: parts.length || 1,
+  };
+}
+
+/**
+ * Update the `sitemap.xml` of the live partition for the documents that changed. The web
+ * paths of the live documents and their last modification, taken from the
+ * `x-source-last-modified` metadata, are kept in `<contentBusId>/.sitemap.json`, which
+ * is created from all live documents the first time and written with a conditional
+ * write, so that concurrent updates don't overwrite each other. The state also keeps the
+ * origin of the URLs, so that it doesn't depend on the request, and a version, so that
+ * the sitemaps are rendered again if the state changed while they were written. If
+ * there are more URLs than fit in a sitemap, they are split into `sitemap-1.xml`,
+ * `sitemap-2.xml` etc., and `sitemap.xml` becomes the sitemap index referencing them.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage content storage
+ * @param {string}   opts.contentBusId content bus id
+ * @param {string[]} opts.paths paths of the live documents that changed
+ * @param {string}   [opts.host] origin of the URLs, e.g. `https://www.adobe.com`, replacing
+ * the one kept in the state
+ * @param {string}   opts.defaultHost origin of the URLs if neither `host` is given nor
+ * kept in the state yet
+ * @param {RegExp[]} [opts.excludes] patterns of the web paths to leave out
+ * @param {number}   [opts.maxURLs] maximum number of URLs in a sitemap
+ * @param {number}   opts.concurrency number of documents inspected in parallel
+ * @param {object}   opts.log logger
+ *
+ * @returns {object} object containing the number of `urls` and `sitemaps`
+ */
+async function updateSitemap(opts) {
+  const {
+    storage, contentBusId, paths, host, defaultHost, excludes = [],
+    maxURLs = MAX_SITEMAP_URLS, concurrency, log,
+  } = opts;
+
+  const base = `${contentBusId}/live`;
+  const stateKey = getStateKey(contentBusId);
+  const initial = (await storage.head(stateKey))
+    ? { urls: {}, sitemaps: 0 }
+    : await createState(storage, base, concurrency);
+  const changes = await processQueue(paths.filter((path) => path.endsWith('.md')),
+    concurrency, async (path) => ({
+      path: getWebPath(path),
+      entry: createEntry(await storage.head(`${base}${path}`)),
+    }));
+
+  // other invocations might update the sitemap at the same time
+  let previous;
+  const state = await updateJSON(storage, stateKey, (stored) => {
+    const {
+      urls: entries, sitemaps, host: storedHost, version = 0,
+    } = stored || initial;
+    changes.forEach(({ path, entry }) => {
+      if (entry) {
+        entries[path] = entry.lastmod;
+      } else {
+        delete entries[path];
+      }
+    });
+    previous = sitemaps;
+    const updated = {
+      host: host || storedHost || defaultHost,
+      version: version + 1,
+      urls: entries,
+    };
+    return {
+      ...updated,
+      sitemaps: countParts(getURLs(updated, excludes), maxURLs),
+    };
+  });
+
+  // the sitemaps of concurrent updates might be written in any order, so they are
+  // written again from the stored state until it's the one they were rendered from
+  let rendered;
+  let current = state;
+  let result;
+  do {
+    rendered = current;
+    // eslint-disable-next-line no-await-in-loop
+    result = await writeSitemaps(storage, base, rendered, excludes, maxURLs, previous);
+    // eslint-disable-next-line no-await-in-loop
+    current = JSON.parse(await storage.load(stateKey));
+    previous = Math.max(previous, current.sitemaps);
+  } while (current.version !== rendered.version);
+
+  log.info(`Updated sitemap of ${contentBusId} with ${result.urls} URLs in ${result.sitemaps} sitemaps`);
+  return result;
+}
+
+module.exports = {
+  parseExcludes,
+  updateSitemap,
+};
@@ -0,0 +1,86 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Return the state of a document in a partition. A tombstone of a document whose
+ * source is gone doesn't count as existing.
+ *
+ * @param {object} storage content storage
+ * @param {string} key object key
+ * @returns object containing `exists`, `lastModified` and `sourceLastModified`
+ */
+async function getPartitionStatus(storage, key) {
+  const info = await storage.head(key);
+  if (!info || info.metadata['x-deleted']) {
+    return { exists: false };
+  }
+  return {
+    exists: true,
+    lastModified: info.lastModified,
+    sourceLastModified: info.metadata['x-source-last-modified'],
+  };
+}
+
+/**
+ * Checks whether the preview of a document is newer than its live copy. The
+ * source last modified dates are compared if both are known, otherwise the
+ * dates the objects were stored at.
+ *
+ * @param {object} preview preview status
+ * @param {object} live live status
+ * @returns {boolean} true if the preview is newer
+ */
+function isModified(preview, live) {
+  if (preview.sourceLastModified && live.sourceLastModified) {
+    return Date.parse(preview.sourceLastModified) > Date.parse(live.sourceLastModified);
+  }
+  return preview.lastModified > live.lastModified;
+}
+
+/**
+ * Compares the preview and live state of a document.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage content storage
+ * @param {string}   opts.contentBusId content bus id
+ * @param {string}   opts.path document path
+ *
+ * @returns {object} object containing the `preview` and `live` status, and the derived
+ * `state`, being one of `unpublished`, `published` or `modified-since-publish`
+ */
+async function getStatus(opts) {
+  const { storage, contentBusId, path } = opts;
+
+  const [preview, live] = await Promise.all([
+    getPartitionStatus(storage, `${contentBusId}/preview${path}`),
+    getPartitionStatus(storage, `${contentBusId}/live${path}`),
+  ]);
+
+  let state = 'published';
+  if (!live.exists) {
+    state = 'unpublished';
+  } else if (preview.exists && isModified(preview, live)) {
+    state = 'modified-since-publish';
+  }
+  return {
+    path,
+    preview,
+    live,
+    state,
+  };
+}
+
+module.exports = {
+  getStatus,
+};
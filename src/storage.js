@@ -12,21 +12,29 @@
 
 'use strict';
 
-const { promisify } = require('util');
-const zlib = require('zlib');
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
 
 const {
-  S3Client,
   GetObjectCommand,
   PutObjectCommand,
   HeadObjectCommand,
   CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
 } = require('@aws-sdk/client-s3');
 
 const { Response } = require('@adobe/helix-fetch');
-
-const gzip = promisify(zlib.gzip);
-const gunzip = promisify(zlib.gunzip);
+const { FSStorage } = require('./fs-storage.js');
+const { S3ClientPool, createS3Client } = require('./s3-client-pool.js');
+const { encodeMetadata, decodeMetadata, isMetadataChanged } = require('./metadata.js');
+const {
+  getContentEncoding, compress, decompress, createCompressStream, createDecompressStream,
+} = require('./compression.js');
 
 /**
  * Header names that AWS considers system defined.
@@ -44,6 +52,55 @@ const METADATA_HEADER_MAP = new Map([
   ['last-modified', 'x-source-last-modified'],
 ]);
 
+/**
+ * Metadata name of the hash of an object's contents.
+ */
+const CONTENT_HASH_METADATA = 'x-content-hash';
+
+/**
+ * Default size in bytes above which a body is uploaded in multiple parts.
+ */
+const DEFAULT_MULTIPART_THRESHOLD = 16 * 1024 * 1024;
+
+/**
+ * Default size in bytes of a compressed part in a multipart upload. S3 requires
+ * all parts but the last one to be at least 5 MB.
+ */
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Read a stream until it ends or more than `limit` bytes have been read.
+ *
+ * @param {Readable} stream stream to read, may be null
+ * @param {number} limit maximum number of bytes to read
+ * @returns object containing the `chunks` read as Buffers and, unless the stream
+ * ended, the `iterator` to read the remaining chunks with
+ */
+async function readUpTo(stream, limit) {
+  const chunks = [];
+  if (!stream) {
+    return { chunks };
+  }
+  const iterator = stream[Symbol.asyncIterator]();
+  let size = 0;
+  while (size <= limit) {
+    // eslint-disable-next-line no-await-in-loop
+    const { value, done } = await iterator.next();
+    if (done) {
+      return { chunks };
+    }
+    const chunk = Buffer.isBuffer(value) ? value : Buffer.from(value);
+    chunks.push(chunk);
+    size += chunk.length;
+  }
+  return { chunks, iterator };
+}
+
+/**
+ * Pool of S3 clients shared by all storages created with `createStorage`.
+ */
+const clientPool = new S3ClientPool();
+
 /**
  * AWS Storage class
  */
@@ -58,6 +115,12 @@ class AWSStorage {
    * @param {string}   opts.bucket S3 bucket id
    * @param {string}   opts.tags tags to add to new buckets
    * @param {object}   opts.readOnly flag indicating whether bucket should never be created
+   * @param {S3ClientPool} opts.pool pool to borrow the S3 client from (optional)
+   * @param {number}   opts.multipartThreshold size in bytes above which a body is
+   *                   uploaded in multiple parts (optional)
+   * @param {number}   opts.partSize size in bytes of a compressed part (optional)
+   * @param {boolean}  opts.brotli whether to compress text formats with Brotli
+   *                   instead of gzip (optional)
    * @param {object}   opts.log logger
    *
    * @returns AWSStorage instance
@@ -70,6 +133,10 @@ class AWSStorage {
       bucket,
       tags = [],
       readOnly = false,
+      pool,
+      multipartThreshold = DEFAULT_MULTIPART_THRESHOLD,
+      partSize = DEFAULT_PART_SIZE,
+      brotli = false,
       log = console,
     } = opts;
 
@@ -77,19 +144,12 @@ class AWSStorage {
       throw new Error('bucket is required.');
     }
 
-    if (region && accessKeyId && secretAccessKey) {
-      log.info('Creating S3Client with credentials');
-      this._s3 = new S3Client({
-        region,
-        credentials: {
-          accessKeyId,
-          secretAccessKey,
-        },
-      });
-    } else {
-      log.info('Creating S3Client without credentials');
-      this._s3 = new S3Client();
-    }
+    const config = { region, accessKeyId, secretAccessKey };
+    this._s3 = pool ? pool.acquire(config, log) : createS3Client(config, log);
+    this._pool = pool;
+    this._multipartThreshold = multipartThreshold;
+    this._partSize = partSize;
+    this._brotli = brotli;
     this._bucket = bucket;
     this._tags = tags;
     this._readOnly = readOnly;
@@ -103,11 +163,25 @@ class AWSStorage {
    * @returns object contents as a Buffer or null
    */
   async load(key) {
+    const result = await this.loadIfModified(key);
+    return result && result.data;
+  }
+
+  /**
+   * Return an object contents, unless its ETag matches the one given.
+   *
+   * @param {string} key object key
+   * @param {string} [etag] ETag of the copy known to the caller
+   * @returns object containing the `etag` and, if the object was modified, its `data`
+   * as a Buffer, or null if the object does not exist
+   */
+  async loadIfModified(key, etag) {
     const { log } = this;
 
     const input = {
       Bucket: this.bucket,
       Key: key,
+      IfNoneMatch: etag,
     };
 
     try {
@@ -115,10 +189,44 @@ class AWSStorage {
       log.info(`Object downloaded from: ${this.bucket}/${key}`);
 
       const buf = await new Response(result.Body, {}).buffer();
-      if (result.ContentEncoding === 'gzip') {
-        return await gunzip(buf);
+      return { data: await decompress(buf, result.ContentEncoding), etag: result.ETag };
+    } catch (e) {
+      if (e.$metadata.httpStatusCode === 304) {
+        log.info(`Object not modified: ${this.bucket}/${key}`);
+        return { etag };
+      }
+      /* istanbul ignore next */
+      if (e.$metadata.httpStatusCode !== 404) {
+        throw e;
       }
-      return buf;
+      return null;
+    }
+  }
+
+  /**
+   * Return an object contents as a stream, without buffering it.
+   *
+   * @param {string} key object key
+   * @returns {Readable} stream of the uncompressed object contents or null
+   */
+  async loadStream(key) {
+    const { log } = this;
+
+    const input = {
+      Bucket: this.bucket,
+      Key: key,
+    };
+
+    try {
+      const result = await this.client.send(new GetObjectCommand(input));
+      log.info(`Object streamed from: ${this.bucket}/${key}`);
+
+      const decompressor = createDecompressStream(result.ContentEncoding);
+      if (decompressor) {
+        // errors of the object stream are passed on to the returned one
+        return pipeline(result.Body, decompressor, () => {});
+      }
+      return result.Body;
     } catch (e) {
       /* istanbul ignore next */
       if (e.$metadata.httpStatusCode !== 404) {
@@ -129,12 +237,13 @@ class AWSStorage {
   }
 
   /**
-   * Return an object's metadata.
+   * Return an object's properties.
    *
    * @param {string} key object key
-   * @returns object metadata or null
+   * @returns object containing `contentType`, `contentEncoding`, `size`, `lastModified`
+   * and `metadata` or null
    */
-  async metadata(key) {
+  async head(key) {
     const { log } = this;
 
     const input = {
@@ -145,7 +254,13 @@ class AWSStorage {
     try {
       const result = await this.client.send(new HeadObjectCommand(input));
       log.info(`Object metadata loaded for: ${this.bucket}/${key}`);
-      return result.Metadata;
+      return {
+        contentType: result.ContentType,
+        contentEncoding: result.ContentEncoding,
+        size: result.ContentLength,
+        lastModified: result.LastModified,
+        metadata: decodeMetadata(result.Metadata),
+      };
     } catch (e) {
       /* istanbul ignore next */
       if (e.$metadata.httpStatusCode !== 404) {
@@ -156,11 +271,28 @@ class AWSStorage {
   }
 
   /**
-   * Store an object contents, along with headers.
+   * Return an object's metadata.
+   *
+   * @param {string} key object key
+   * @returns object metadata or null
+   */
+  async metadata(key) {
+    const info = await this.head(key);
+    return info && info.metadata;
+  }
+
+  /**
+   * Store an object contents, along with headers. The upload is skipped if
+   * the stored object has the same content hash, and only the metadata is
+   * updated if it changed, e.g. the last modification time of the source. The body is compressed
+   * depending on its content type, see `getContentEncoding`. Bodies larger
+   * than the multipart threshold are compressed and uploaded in parts while
+   * they are read, so they never need to be held in memory. Headers S3 can't
+   * store as metadata are encoded or dropped, see `encodeMetadata`.
    *
    * @param {string} key object key
    * @param {Response} res response to store
-   * @returns result obtained from S3
+   * @returns {boolean} true if the object was stored, false if it was unchanged
    */
   async store(key, res) {
     if (this._readOnly) {
@@ -168,13 +300,8 @@ class AWSStorage {
     }
 
     const { log } = this;
-    const body = await res.buffer();
-    const zipped = await gzip(body);
-
     const input = {
-      Body: zipped,
       Bucket: this.bucket,
-      ContentEncoding: 'gzip',
       Metadata: {},
       Key: key,
     };
@@ -191,8 +318,141 @@ class AWSStorage {
       }
     });
 
+    const encoding = getContentEncoding(input.ContentType, { brotli: this._brotli });
+    if (encoding) {
+      input.ContentEncoding = encoding;
+    }
+
+    const { chunks, iterator } = await readUpTo(res.body, this._multipartThreshold);
+    if (iterator) {
+      return this._storeMultipart(input, chunks, iterator);
+    }
+
+    const body = Buffer.concat(chunks);
+    const hash = crypto.createHash('sha256').update(body).digest('hex');
+
+    const stored = await this.metadata(key);
+    if (stored && stored[CONTENT_HASH_METADATA] === hash) {
+      await this._updateMetadata(key, stored, input.Metadata);
+      return false;
+    }
+
+    input.Body = await compress(body, encoding);
+    input.Metadata = encodeMetadata({
+      ...input.Metadata,
+      [CONTENT_HASH_METADATA]: hash,
+    }, key, log);
+
     await this.client.send(new PutObjectCommand(input));
     log.info(`Object uploaded to: ${this.bucket}/${key}`);
+    return true;
+  }
+
+  /**
+   * Update the metadata of an object whose contents didn't change, by copying it
+   * onto itself, unless the metadata didn't change either. Only the entries that
+   * `encodeMetadata` keeps are compared, as the ones dropped for their size are
+   * never stored and would otherwise count as changed every time.
+   *
+   * @param {string} key object key
+   * @param {object} stored stored metadata
+   * @param {object} meta new metadata
+   */
+  async _updateMetadata(key, stored, meta) {
+    const kept = decodeMetadata(encodeMetadata({ ...stored, ...meta }, key, this.log));
+    if (!isMetadataChanged(stored, kept)) {
+      this.log.info(`Object unchanged, skipped upload to: ${this.bucket}/${key}`);
+      return;
+    }
+    await this.copy(key, key, kept);
+    this.log.info(`Object unchanged, updated metadata of: ${this.bucket}/${key}`);
+  }
+
+  /**
+   * Compress a body if needed and upload it in multiple parts, while it is read. As the
+   * content hash is only known at the end, the upload is aborted if it matches
+   * the stored one, and otherwise added to the metadata after completion.
+   *
+   * @param {object} input upload parameters, without the body
+   * @param {Buffer[]} chunks chunks of the body already read
+   * @param {AsyncIterator} iterator iterator for the remaining chunks of the body
+   * @returns {boolean} true if the object was stored, false if it was unchanged
+   */
+  async _storeMultipart(input, chunks, iterator) {
+    const { log } = this;
+    const { Bucket, Key } = input;
+    const hash = crypto.createHash('sha256');
+
+    async function* read() {
+      for (const chunk of chunks) {
+        hash.update(chunk);
+        yield chunk;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+        hash.update(next.value);
+        yield next.value;
+      }
+    }
+
+    const stored = await this.metadata(Key);
+    const { UploadId } = await this.client.send(new CreateMultipartUploadCommand({
+      ...input,
+      Metadata: encodeMetadata(input.Metadata, Key, log),
+    }));
+    log.info(`Multipart upload started to: ${Bucket}/${Key}`);
+
+    const parts = [];
+    const uploadPart = async (data) => {
+      const PartNumber = parts.length + 1;
+      const { ETag } = await this.client.send(new UploadPartCommand({
+        Bucket, Key, UploadId, PartNumber, Body: data,
+      }));
+      parts.push({ ETag, PartNumber });
+    };
+
+    let digest;
+    try {
+      // errors while reading or compressing are passed on to the compressed stream
+      const compressor = createCompressStream(input.ContentEncoding);
+      const source = Readable.from(read());
+      const body = compressor ? pipeline(source, compressor, () => {}) : source;
+      let buffered = [];
+      let size = 0;
+      for await (const data of body) {
+        buffered.push(data);
+        size += data.length;
+        if (size >= this._partSize) {
+          // eslint-disable-next-line no-await-in-loop
+          await uploadPart(Buffer.concat(buffered));
+          buffered = [];
+          size = 0;
+        }
+      }
+      if (size > 0) {
+        await uploadPart(Buffer.concat(buffered));
+      }
+
+      digest = hash.digest('hex');
+      if (stored && stored[CONTENT_HASH_METADATA] === digest) {
+        await this.client.send(new AbortMultipartUploadCommand({ Bucket, Key, UploadId }));
+        log.info(`Object unchanged, aborted multipart upload to: ${Bucket}/${Key}`);
+        await this._updateMetadata(Key, stored, input.Metadata);
+        return false;
+      }
+      await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket, Key, UploadId, MultipartUpload: { Parts: parts },
+      }));
+    } catch (e) {
+      log.warn(`Multipart upload to ${Bucket}/${Key} failed: ${e.message}`);
+      await this.client.send(new AbortMultipartUploadCommand({ Bucket, Key, UploadId }));
+      throw e;
+    }
+    log.info(`Object uploaded in ${parts.length} parts to: ${Bucket}/${Key}`);
+
+    // copy the object onto itself to add the content hash to its metadata
+    await this.copy(Key, Key, { [CONTENT_HASH_METADATA]: digest });
+    return true;
   }
 
   /**
@@ -213,7 +473,7 @@ class AWSStorage {
       Body: data,
       Bucket: this.bucket,
       ContentType: contentType,
-      Metadata: meta,
+      Metadata: encodeMetadata(meta, key, this.log),
       Key: key,
     };
 
@@ -221,14 +481,60 @@ class AWSStorage {
     this.log.info(`Object uploaded to: ${this.bucket}/${key}`);
   }
 
+  /**
+   * Store an object contents, along with headers, unless it changed since it was
+   * loaded. S3 rejects the upload if the ETag of the stored object doesn't match,
+   * or, without ETag, if the object exists.
+   *
+   * @param {string} key object key
+   * @param {Buffer} data data to store
+   * @param {string} contentType content type
+   * @param {object} meta metadata to store with the object
+   * @param {string} etag ETag of the object when it was loaded, or null if it didn't exist
+   * @returns {boolean} true if the object was stored, false if it changed in the meantime
+   */
+  async storeDataIfMatch(key, data, contentType, meta, etag) {
+    if (this._readOnly) {
+      throw new Error(`Storage is read-only: ${this._bucket}`);
+    }
+
+    const command = new PutObjectCommand({
+      Body: data,
+      Bucket: this.bucket,
+      ContentType: contentType,
+      Metadata: encodeMetadata(meta, key, this.log),
+      Key: key,
+    });
+    // the conditional headers are not part of the command input in this SDK version
+    const conditions = etag ? { 'if-match': etag } : { 'if-none-match': '*' };
+    command.middlewareStack.add((next) => async (args) => {
+      Object.assign(args.request.headers, conditions);
+      return next(args);
+    }, { step: 'build', name: 'conditionalWriteMiddleware' });
+
+    try {
+      await this.client.send(command);
+    } catch (e) {
+      // 409 is returned for a concurrent conditional upload of the same object
+      if ([409, 412].includes(e.$metadata.httpStatusCode)) {
+        this.log.info(`Object changed before upload to: ${this.bucket}/${key}`);
+        return false;
+      }
+      throw e;
+    }
+    this.log.info(`Object uploaded to: ${this.bucket}/${key}`);
+    return true;
+  }
+
   /**
    * Copy an object in the same bucket.
    *
    * @param {string} src source key
    * @param {string} dest destination key
+   * @param {object} [meta] metadata to add to the metadata of the source object
    * @returns result obtained from S3
    */
-  async copy(src, dest) {
+  async copy(src, dest, meta) {
     if (this._readOnly) {
       throw new Error(`Storage is read-only: ${this._bucket}`);
     }
@@ -242,6 +548,21 @@ class AWSStorage {
     };
 
     try {
+      if (meta) {
+        // replacing the metadata requires passing the system headers again
+        const info = await this.head(src);
+        if (!info) {
+          const e = new Error(`source does not exist: ${src}`);
+          e.status = 404;
+          throw e;
+        }
+        Object.assign(input, {
+          MetadataDirective: 'REPLACE',
+          ContentType: info.contentType,
+          ContentEncoding: info.contentEncoding,
+          Metadata: encodeMetadata({ ...info.metadata, ...meta }, dest, log),
+        });
+      }
       await this.client.send(new CopyObjectCommand(input));
       log.info(`Object copied from ${src} to: ${this.bucket}/${dest}`);
     } catch (e) {
@@ -256,10 +577,98 @@ class AWSStorage {
   }
 
   /**
-   * Close this storage. Destroys the S3 client used.
+   * Remove an object.
+   *
+   * @param {string} key object key
+   * @returns result obtained from S3
+   */
+  async remove(key) {
+    if (this._readOnly) {
+      throw new Error(`Storage is read-only: ${this._bucket}`);
+    }
+
+    const { log } = this;
+
+    // S3 reports success when deleting a missing object, so check first
+    if (!await this.metadata(key)) {
+      const e = new Error(`object does not exist: ${key}`);
+      e.status = 404;
+      throw e;
+    }
+
+    const input = {
+      Bucket: this.bucket,
+      Key: key,
+    };
+
+    await this.client.send(new DeleteObjectCommand(input));
+    log.info(`Object removed from: ${this.bucket}/${key}`);
+  }
+
+  /**
+   * List a page of objects below a prefix.
+   *
+   * @param {string} prefix key prefix
+   * @param {object} [opts] options
+   * @param {number} [opts.limit] maximum number of objects to return, defaults to 1000
+   * @param {string} [opts.token] continuation token returned with the previous page
+   * @returns object containing the `objects` and the `next` continuation token, if truncated
    */
-  close() {
-    this.client.destroy();
+  async listPage(prefix, { limit, token } = {}) {
+    const input = {
+      Bucket: this.bucket,
+      Prefix: prefix,
+      MaxKeys: limit,
+      ContinuationToken: token,
+    };
+    const result = await this.client.send(new ListObjectsV2Command(input));
+    return {
+      objects: (result.Contents || []).map(({ Key, Size, LastModified }) => ({
+        key: Key,
+        size: Size,
+        lastModified: LastModified,
+      })),
+      next: result.IsTruncated ? result.NextContinuationToken : undefined,
+    };
+  }
+
+  /**
+   * List all objects below a prefix, following the continuation tokens
+   * of truncated results.
+   *
+   * @param {string} prefix key prefix
+   * @returns list of objects, containing `key`, `size` and `lastModified`
+   */
+  async list(prefix) {
+    const { log } = this;
+    const objects = [];
+    let token;
+
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const page = await this.listPage(prefix, { token });
+      objects.push(...page.objects);
+      token = page.next;
+    } while (token);
+
+    log.info(`Listed ${objects.length} objects below: ${this.bucket}/${prefix}`);
+    return objects;
+  }
+
+  /**
+   * Close this storage. Destroys the S3 client used, unless it was borrowed
+   * from a pool, where it is kept for reuse.
+   *
+   * @param {object} [opts] options
+   * @param {boolean} [opts.destroy] whether to destroy the S3 client, even if it
+   * was borrowed from a pool
+   */
+  close({ destroy = false } = {}) {
+    if (!this._pool) {
+      this.client.destroy();
+    } else if (destroy) {
+      this._pool.evict(this.client);
+    }
   }
 
   get client() {
@@ -275,4 +684,45 @@ class AWSStorage {
   }
 }
 
-module.exports = { AWSStorage };
+/**
+ * Create a storage instance of the type configured in the environment. All storage
+ * types provide the same `load`, `loadIfModified`, `loadStream`, `head`, `metadata`, `store`,
+ * `storeData`, `copy`, `remove`, `list`, `listPage` and `close` methods. AWS storages
+ * borrow their S3 client from a pool shared by the whole container.
+ *
+ * @param {object}   env environment
+ * @param {string}   env.STORAGE_TYPE either `aws` (default) or `fs`
+ * @param {string}   env.STORAGE_ROOT root directory of the `fs` storage
+ * @param {object}   opts storage options, e.g. `bucket`, `readOnly` and `log`
+ *
+ * @returns storage instance
+ */
+function createStorage(env, opts) {
+  const {
+    STORAGE_TYPE: type = 'aws',
+    STORAGE_ROOT: root,
+    AWS_S3_REGION,
+    AWS_S3_ACCESS_KEY_ID,
+    AWS_S3_SECRET_ACCESS_KEY,
+    MULTIPART_THRESHOLD,
+    BROTLI_COMPRESSION,
+  } = env;
+
+  if (type === 'aws') {
+    return new AWSStorage({
+      AWS_S3_REGION,
+      AWS_S3_ACCESS_KEY_ID,
+      AWS_S3_SECRET_ACCESS_KEY,
+      pool: clientPool,
+      multipartThreshold: Number(MULTIPART_THRESHOLD) || undefined,
+      brotli: BROTLI_COMPRESSION === 'true',
+      ...opts,
+    });
+  }
+  if (type === 'fs') {
+    return new FSStorage({ root, ...opts });
+  }
+  throw new Error(`Storage type unknown: ${type}`);
+}
+
+module.exports = { AWSStorage, clientPool, createStorage };
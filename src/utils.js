@@ -13,6 +13,8 @@
 'use strict';
 
 /* eslint-disable no-param-reassign */
+const crypto = require('crypto');
+const { Readable } = require('stream');
 const fetchAPI = require('@adobe/helix-fetch');
 const { cleanupHeaderValue } = require('@adobe/helix-shared-utils');
 const { Response } = require('@adobe/helix-universal');
@@ -84,6 +86,21 @@ function createErrorResponse({
   });
 }
 
+/**
+ * Create a JSON response.
+ *
+ * @param {object} data data to return
+ * @returns {Response} response with status 200
+ */
+function createJSONResponse(data) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status: 200,
+    headers: {
+      'content-type': 'application/json',
+    },
+  });
+}
+
 /**
  * Escape tag value, so it's acceptable for AWS S3.
  *
@@ -107,9 +124,279 @@ function escapeTagValue(value) {
   return escaped;
 }
 
+/**
+ * Processes a list of items with a bounded number of tasks running in parallel.
+ *
+ * @param {Array} items items to process
+ * @param {number} concurrency maximum number of tasks running in parallel
+ * @param {function} fn async function invoked with every item
+ * @returns {Array} the results of `fn`, in the order of the items
+ */
+async function processQueue(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      // eslint-disable-next-line no-await-in-loop
+      results[index] = await fn(items[index]);
+    }
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i += 1) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Default retry policy: maximum number of attempts, initial delay between
+ * two attempts and total time budget of all attempts, both in milliseconds.
+ */
+const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  delay: 250,
+  budget: 30000,
+};
+
+/**
+ * Retry policy of the requests notifying other services, i.e. purge requests and
+ * webhook deliveries. The action waits for them, so they get a smaller budget than
+ * fetching documents.
+ */
+const NOTIFY_RETRY_POLICY = {
+  attempts: 2,
+  delay: 250,
+  budget: 5000,
+};
+
+/**
+ * Return the retry policy, using the defaults for missing or invalid values. Failed
+ * attempts are retried with an exponential backoff, see `getBackoff`, until either the
+ * number of attempts or the time budget is exhausted, and an attempt still running
+ * when the budget is exhausted times out.
+ *
+ * @param {object} [retry] retry options, given as numbers or strings
+ * @param {object} [defaults] default retry policy
+ * @returns {object} retry policy
+ */
+function getRetryPolicy(retry = {}, defaults = DEFAULT_RETRY_POLICY) {
+  const policy = { ...defaults };
+  Object.keys(policy).forEach((name) => {
+    const value = Number(retry[name]);
+    if (retry[name] !== undefined && retry[name] !== '' && value >= 0) {
+      policy[name] = value;
+    }
+  });
+  return policy;
+}
+
+/**
+ * Return the time to wait before the next attempt. The delay doubles with
+ * every attempt, and a random jitter of up to half of it is subtracted.
+ *
+ * @param {number} delay initial delay in milliseconds
+ * @param {number} attempt number of attempts made so far
+ * @returns {number} time to wait in milliseconds
+ */
+function getBackoff(delay, attempt) {
+  const backoff = delay * (2 ** (attempt - 1));
+  return Math.round(backoff - Math.random() * (backoff / 2));
+}
+
+/**
+ * Wait for some time.
+ *
+ * @param {number} ms time to wait in milliseconds
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Send data with a POST request. Network errors, 429 and 5xx responses are retried
+ * as the retry policy allows, see `getRetryPolicy`, which defaults to
+ * `NOTIFY_RETRY_POLICY`.
+ *
+ * @param {string} url URL to send the data to
+ * @param {string} data request body
+ * @param {object} opts options
+ * @param {object} opts.headers request headers
+ * @param {object} [opts.retry] retry policy, containing `attempts`, `delay` and `budget`
+ * @param {object} opts.log logger
+ *
+ * @returns {object} outcome containing the `status`, either `ok` or `failed`, the number
+ * of `attempts` made and the `error` of the last attempt if it failed
+ */
+async function postWithRetry(url, data, { headers, retry, log }) {
+  const { attempts: maxAttempts, delay, budget } = getRetryPolicy(retry, NOTIFY_RETRY_POLICY);
+
+  const start = Date.now();
+  let attempts = 0;
+  for (;;) {
+    attempts += 1;
+    let error;
+    let retryable = true;
+    // an attempt can't take longer than the budget that is left
+    const left = Math.max(budget - (Date.now() - start), 1);
+    // send the body as stream: fetch turns a string body into a stream it never
+    // reads, and destroying that with the error of a failed request goes unhandled
+    const fetchopts = getFetchOptions({
+      method: 'POST',
+      headers,
+      body: Readable.from([data]),
+      cache: 'no-store',
+      fetchTimeout: Math.min(10000, left),
+    });
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const resp = await fetch(url, fetchopts);
+      // eslint-disable-next-line no-await-in-loop
+      await resp.text();
+      if (resp.ok) {
+        return { status: 'ok', attempts };
+      }
+      error = `status ${resp.status}`;
+      retryable = resp.status === 429 || resp.status >= 500;
+    } catch (e) {
+      error = e.message;
+    } finally {
+      fetchopts.signal.clear();
+    }
+
+    const wait = getBackoff(delay, attempts);
+    if (!retryable || attempts >= maxAttempts || Date.now() - start + wait > budget) {
+      return { status: 'failed', attempts, error };
+    }
+    log.warn(`Attempt ${attempts} to post to ${url} failed (${error}), retrying in ${wait}ms`);
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(wait);
+  }
+}
+
+/**
+ * Default policy for updating a stored JSON object: maximum number of attempts and
+ * initial delay in milliseconds before the next attempt, if it was modified concurrently.
+ */
+const DEFAULT_UPDATE_POLICY = {
+  attempts: 5,
+  delay: 100,
+};
+
+/**
+ * Update a JSON object in storage. The stored object is passed to `update`, and the
+ * object it returns is stored with a conditional write. If another writer modified
+ * the object in the meantime, the update is retried with an exponential backoff.
+ *
+ * @param {object} storage storage
+ * @param {string} key object key
+ * @param {function} update function receiving the stored object, or null if there is none,
+ * and returning the object to store, or null to leave the stored object as is
+ * @param {object} [policy] update policy, containing `attempts` and `delay`, and an optional
+ * `getMeta` function returning the metadata to store with the object it receives
+ *
+ * @returns {object} the object stored, or the stored object if it was left as is
+ * @throws {Error} with status 409 if the object was modified concurrently in every attempt
+ */
+async function updateJSON(storage, key, update, policy = {}) {
+  const {
+    attempts, delay, getMeta = () => ({}),
+  } = { ...DEFAULT_UPDATE_POLICY, ...policy };
+  for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    if (attempt > 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(getBackoff(delay, attempt - 1));
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const result = await storage.loadIfModified(key);
+    const stored = result ? JSON.parse(result.data.toString()) : null;
+    // eslint-disable-next-line no-await-in-loop
+    const data = await update(stored);
+    if (!data) {
+      return stored;
+    }
+    const buf = Buffer.from(JSON.stringify(data, null, 2));
+    // eslint-disable-next-line no-await-in-loop
+    if (await storage.storeDataIfMatch(key, buf, 'application/json', getMeta(data), result ? result.etag : null)) {
+      return data;
+    }
+  }
+  const e = new Error(`unable to update ${key}: modified concurrently`);
+  e.status = 409;
+  throw e;
+}
+
+/**
+ * Return a comparator sorting objects by a property in ascending order.
+ *
+ * @param {string} name property name
+ * @returns {function} comparator for `Array.prototype.sort`
+ */
+function compareBy(name) {
+  return (o1, o2) => (o1[name] > o2[name]) - (o1[name] < o2[name]);
+}
+
+/**
+ * Return the signature of a payload, i.e. its HMAC-SHA256 in hex, prefixed
+ * with the algorithm.
+ *
+ * @param {string} payload payload to sign
+ * @param {string} secret shared secret
+ * @returns {string} signature, e.g. `sha256=...`
+ */
+function signPayload(payload, secret) {
+  const hmac = crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Return the path a document is served from, e.g. `/blog/index.md` is served
+ * from `/blog/` and `/blog/post.md` from `/blog/post`.
+ *
+ * @param {string} path document path
+ * @returns {string} web path
+ */
+function getWebPath(path) {
+  return path.replace(/\/index\.md$/, '/').replace(/\.md$/, '');
+}
+
+/**
+ * Pattern of the paths of the objects generated in a partition, i.e. the query index
+ * and the sitemaps.
+ */
+const GENERATED_PATH_PATTERN = /^\/(query-index\.json|sitemap(-[0-9]+)?\.xml)$/;
+
+/**
+ * Tells whether an object of a partition is generated from its documents, rather than
+ * being a document itself.
+ *
+ * @param {string} path object path relative to the partition
+ * @returns {boolean} true if the object is generated
+ */
+function isGeneratedPath(path) {
+  return GENERATED_PATH_PATTERN.test(path);
+}
+
 module.exports = {
   fetch,
+  processQueue,
   getFetchOptions,
   createErrorResponse,
+  createJSONResponse,
   escapeTagValue,
+  getRetryPolicy,
+  getBackoff,
+  sleep,
+  postWithRetry,
+  updateJSON,
+  compareBy,
+  signPayload,
+  getWebPath,
+  isGeneratedPath,
 };
@@ -0,0 +1,175 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { isGeneratedPath, processQueue } = require('./utils.js');
+
+/**
+ * Pattern of valid version ids.
+ */
+const VERSION_PATTERN = /^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{6}\.[0-9]{3}Z$/;
+
+/**
+ * Return the folder containing the archived live versions of a document.
+ *
+ * @param {string} contentBusId content bus id
+ * @param {string} path document path
+ * @returns {string} folder key, ending with a slash
+ */
+function getVersionsFolder(contentBusId, path) {
+  return `${contentBusId}/.versions${path}/`;
+}
+
+/**
+ * Archive the live copy of a document, if it exists. The version id is derived
+ * from the current time, so versions sort chronologically.
+ *
+ * @param {object} storage content storage
+ * @param {string} contentBusId content bus id
+ * @param {string} path document path
+ * @returns {string} version id or null if there was no live copy
+ */
+async function archiveLive(storage, contentBusId, path) {
+  const key = `${contentBusId}/live${path}`;
+  if (!await storage.metadata(key)) {
+    return null;
+  }
+  const version = new Date().toISOString().replace(/:/g, '');
+  await storage.copy(key, `${getVersionsFolder(contentBusId, path)}${version}`);
+  return version;
+}
+
+/**
+ * Copies a document to live, after archiving the previous live copy. The live copy
+ * records the time it was published, the verified user who published it, and the
+ * publisher given by the caller. Tombstones of documents whose source is gone are
+ * not published, and neither are generated objects like the query index, which every
+ * partition maintains itself.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage content storage
+ * @param {string}   opts.contentBusId content bus id
+ * @param {string}   opts.path document path
+ * @param {string}   opts.src key of the object to copy
+ * @param {string}   [opts.user] owner of the GitHub token publishing the document
+ * @param {string}   [opts.publisher] who claims to publish the document
+ * @param {object}   [opts.meta] additional metadata to store with the live copy
+ * @throws {Error} with status 404 if there is no document, or 400 if it is generated
+ */
+async function publishDocument(opts) {
+  const {
+    storage, contentBusId, path, src, user, publisher, meta,
+  } = opts;
+
+  if (isGeneratedPath(path)) {
+    const e = new Error(`generated objects are not published: ${path}`);
+    e.status = 400;
+    throw e;
+  }
+
+  // don't archive anything if there's nothing to publish
+  const metadata = await storage.metadata(src);
+  if (!metadata || metadata['x-deleted']) {
+    const e = new Error(`source does not exist: ${src}`);
+    e.status = 404;
+    throw e;
+  }
+  await archiveLive(storage, contentBusId, path);
+
+  const liveMeta = {
+    ...meta,
+    'x-published-at': new Date().toUTCString(),
+  };
+  if (user) {
+    liveMeta['x-published-by'] = user;
+  }
+  if (publisher) {
+    liveMeta['x-publisher'] = publisher;
+  }
+  await storage.copy(src, `${contentBusId}/live${path}`, liveMeta);
+}
+
+/**
+ * Lists the archived live versions of a document, newest first.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage content storage
+ * @param {string}   opts.contentBusId content bus id
+ * @param {string}   opts.path document path
+ * @param {number}   opts.concurrency number of versions inspected in parallel
+ *
+ * @returns {object} object containing the `path` and its `versions`
+ */
+async function listVersions(opts) {
+  const {
+    storage, contentBusId, path, concurrency,
+  } = opts;
+
+  const folder = getVersionsFolder(contentBusId, path);
+  const objects = await storage.list(folder);
+
+  const versions = await processQueue(objects, concurrency, async ({ key, size }) => {
+    // the version might have been removed in the meantime
+    const { metadata = {} } = (await storage.head(key)) || {};
+    return {
+      version: key.substring(folder.length),
+      size,
+      sourceLastModified: metadata['x-source-last-modified'],
+      publishedAt: metadata['x-published-at'],
+      publishedBy: metadata['x-published-by'],
+      publisher: metadata['x-publisher'],
+    };
+  });
+  return {
+    path,
+    versions: versions.reverse(),
+  };
+}
+
+/**
+ * Rolls the live copy of a document back to an archived version. The current
+ * live copy is archived itself, so the rollback can be undone.
+ *
+ * @param {object}   opts options
+ * @param {object}   opts.storage content storage
+ * @param {string}   opts.contentBusId content bus id
+ * @param {string}   opts.path document path
+ * @param {string}   opts.version version id to roll back to
+ * @param {string}   [opts.user] owner of the GitHub token rolling back the document
+ * @param {string}   [opts.publisher] who claims to roll back the document
+ */
+async function rollback(opts) {
+  const {
+    storage, contentBusId, path, version, user, publisher,
+  } = opts;
+
+  await publishDocument({
+    storage,
+    contentBusId,
+    path,
+    src: `${getVersionsFolder(contentBusId, path)}${version}`,
+    user,
+    publisher,
+    meta: {
+      'x-restored-from': version,
+    },
+  });
+}
+
+module.exports = {
+  VERSION_PATTERN,
+  archiveLive,
+  publishDocument,
+  listVersions,
+  rollback,
+};
@@ -0,0 +1,68 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { postWithRetry, signPayload } = require('./utils.js');
+
+/**
+ * Parse a comma separated list of webhook URLs.
+ *
+ * @param {string} [value] list of URLs
+ * @returns {string[]} URLs
+ */
+function parseWebhookURLs(value = '') {
+  return value
+    .split(',')
+    .map((url) => url.trim())
+    .filter((url) => !!url);
+}
+
+/**
+ * Deliver an event to every webhook. The payload is the JSON serialized event,
+ * signed with the shared secret in the `x-hlx-signature` header. Failed deliveries
+ * are retried, see `postWithRetry`.
+ *
+ * @param {object}   opts options
+ * @param {string[]} opts.urls webhook URLs
+ * @param {string}   opts.secret secret shared with the receivers
+ * @param {object}   opts.event event to deliver
+ * @param {object}   [opts.retry] retry policy, containing `attempts`, `delay` and `budget`
+ * @param {object}   opts.log logger
+ *
+ * @returns {object[]} outcome for every webhook, containing the `url`, the `status`,
+ * either `ok` or `failed`, the number of `attempts` and the `error` if it failed
+ */
+async function deliverEvent(opts) {
+  const {
+    urls, secret, event, retry, log,
+  } = opts;
+
+  const payload = JSON.stringify(event);
+  const headers = {
+    'content-type': 'application/json',
+    'x-hlx-event': event.action,
+    'x-hlx-signature': signPayload(payload, secret),
+  };
+  return Promise.all(urls.map(async (url) => {
+    const outcome = await postWithRetry(url, payload, { headers, retry, log });
+    if (outcome.status === 'failed') {
+      log.warn(`Unable to deliver ${event.action} event for ${event.key} to ${url}: ${outcome.error}`);
+    }
+    return { url, ...outcome };
+  }));
+}
+
+module.exports = {
+  parseWebhookURLs,
+  deliverEvent,
+};
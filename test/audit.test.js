@@ -0,0 +1,96 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const { writeAuditEntry, readAuditLog } = require('../src/audit.js');
+const { createTempStorage } = require('./utils.js');
+
+describe('Audit Log Tests', () => {
+  let tmp;
+  let storage;
+
+  const entry = (timestamp, p, action = 'update') => ({
+    timestamp,
+    requestId: 'req',
+    user: 'alice',
+    action,
+    path: p,
+    status: 200,
+    duration: 10,
+  });
+
+  const read = async (p, from, to) => {
+    const { entries } = await readAuditLog({
+      storage,
+      contentBusId: 'foo-id',
+      path: p,
+      from: new Date(from),
+      to: new Date(to),
+      concurrency: 2,
+    });
+    return entries.map(({ timestamp, path: entryPath }) => `${timestamp} ${entryPath}`);
+  };
+
+  beforeEach(async () => {
+    tmp = await createTempStorage('audit-test');
+    ({ storage } = tmp);
+    await Promise.all([
+      entry('2021-05-06T23:59:59.000Z', '/index.md'),
+      entry('2021-05-07T10:00:00.000Z', '/blog/a.md'),
+      entry('2021-05-07T10:00:00.500Z', '/blog/b.md', 'publish'),
+      entry('2021-05-07T12:00:00.000Z', '/index.md', 'publish'),
+      entry('2021-05-09T08:00:00.000Z', '/blog/a.md', 'unpublish'),
+    ].map((e) => writeAuditEntry(storage, 'foo-id', e)));
+  });
+
+  afterEach(async () => {
+    await tmp.remove();
+  });
+
+  it('stores an entry per operation below a folder per day', async () => {
+    const key = await writeAuditEntry(storage, 'foo-id', entry('2021-05-07T18:03:19.000Z', '/index.md'));
+    assert.match(key, /^foo-id\/\.audit\/2021-05-07\/2021-05-07T180319\.000Z-[0-9a-f]{8}\.json$/);
+    assert.deepStrictEqual(JSON.parse(await storage.load(key)), entry('2021-05-07T18:03:19.000Z', '/index.md'));
+  });
+
+  it('reads entries in a time range, oldest first', async () => {
+    assert.deepStrictEqual(await read('/', '2021-05-06T12:00:00.000Z', '2021-05-10T00:00:00.000Z'), [
+      '2021-05-06T23:59:59.000Z /index.md',
+      '2021-05-07T10:00:00.000Z /blog/a.md',
+      '2021-05-07T10:00:00.500Z /blog/b.md',
+      '2021-05-07T12:00:00.000Z /index.md',
+      '2021-05-09T08:00:00.000Z /blog/a.md',
+    ]);
+    assert.deepStrictEqual(await read('/', '2021-05-07T10:00:00.000Z', '2021-05-07T12:00:00.000Z'), [
+      '2021-05-07T10:00:00.000Z /blog/a.md',
+      '2021-05-07T10:00:00.500Z /blog/b.md',
+      '2021-05-07T12:00:00.000Z /index.md',
+    ]);
+    assert.deepStrictEqual(await read('/', '2021-05-08T00:00:00.000Z', '2021-05-08T23:59:59.999Z'), []);
+  });
+
+  it('filters entries by document or folder', async () => {
+    assert.deepStrictEqual(await read('/blog/a.md', '2021-05-06T00:00:00.000Z', '2021-05-10T00:00:00.000Z'), [
+      '2021-05-07T10:00:00.000Z /blog/a.md',
+      '2021-05-09T08:00:00.000Z /blog/a.md',
+    ]);
+    assert.deepStrictEqual(await read('/blog/', '2021-05-06T00:00:00.000Z', '2021-05-08T00:00:00.000Z'), [
+      '2021-05-07T10:00:00.000Z /blog/a.md',
+      '2021-05-07T10:00:00.500Z /blog/b.md',
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const { Request } = require('@adobe/helix-fetch');
+const { Response } = require('@adobe/helix-universal');
+
+const { auth, signRequest } = require('../src/auth.js');
+
+describe('Authentication Tests', () => {
+  const credentials = [{
+    id: 'indexer',
+    secret: 'shared-secret',
+    repos: ['adobe/*'],
+  }, {
+    id: 'slack-bot',
+    token: 'bearer-token',
+    repos: ['tripodsan/helix-test', '*/theblog', 'adobe'],
+  }];
+  const env = {
+    AUTH_CREDENTIALS: JSON.stringify(credentials),
+  };
+  const data = {
+    owner: 'adobe',
+    repo: 'helix-home',
+    ref: 'main',
+    path: '/index.md',
+    __ow_headers: {},
+  };
+
+  const main = auth(async () => new Response('', { status: 200 }));
+  const invoke = async (headers = {}, params = data, e = env) => {
+    const res = await main(new Request('https://helix-service.com/publish', { headers }), {
+      env: e,
+      data: params,
+      log: console,
+    });
+    return {
+      status: res.status,
+      error: res.headers.get('x-error'),
+    };
+  };
+
+  it('passes every request if no credentials are configured', async () => {
+    assert.deepStrictEqual(await invoke({}, data, {}), { status: 200, error: null });
+  });
+
+  it('returns 500 for invalid credentials', async () => {
+    const expected = {
+      status: 500,
+      error: 'AUTH_CREDENTIALS must be a list of credentials with an id, a secret or token, and repos',
+    };
+    assert.deepStrictEqual(await invoke({}, data, { AUTH_CREDENTIALS: 'secret' }), expected);
+    assert.deepStrictEqual(await invoke({}, data, { AUTH_CREDENTIALS: '{}' }), expected);
+    assert.deepStrictEqual(await invoke({}, data, { AUTH_CREDENTIALS: '[{ "id": "ci", "repos": [] }]' }), expected);
+  });
+
+  it('returns 401 without credentials', async () => {
+    assert.deepStrictEqual(await invoke(), { status: 401, error: 'authentication required' });
+    assert.deepStrictEqual(await invoke({ authorization: 'Basic Zm9vOmJhcg==' }), { status: 401, error: 'authentication required' });
+  });
+
+  it('accepts signed requests', async () => {
+    const headers = signRequest(data, credentials[0]);
+    assert.deepStrictEqual(await invoke(headers), { status: 200, error: null });
+  });
+
+  it('returns 401 for requests with invalid signatures', async () => {
+    const headers = signRequest(data, credentials[0]);
+    assert.deepStrictEqual(await invoke(headers, { ...data, path: '/other.md' }), { status: 401, error: 'invalid signature' });
+    assert.deepStrictEqual(await invoke(signRequest(data, { ...credentials[0], secret: 'guess' })), { status: 401, error: 'invalid signature' });
+    assert.deepStrictEqual(await invoke(signRequest(data, { id: 'slack-bot', secret: 'bearer-token' })), { status: 401, error: 'unknown key id: slack-bot' });
+  });
+
+  it('returns 401 for requests signed too long ago', async () => {
+    const headers = signRequest(data, credentials[0], Date.now() - 10 * 60 * 1000);
+    assert.deepStrictEqual(await invoke(headers), { status: 401, error: 'signature expired' });
+    delete headers['x-hlx-timestamp'];
+    assert.deepStrictEqual(await invoke(headers), { status: 401, error: 'signature expired' });
+  });
+
+  it('accepts bearer tokens', async () => {
+    const headers = { authorization: 'Bearer bearer-token' };
+    assert.deepStrictEqual(await invoke(headers, { ...data, owner: 'tripodsan', repo: 'helix-test' }), { status: 200, error: null });
+    assert.deepStrictEqual(await invoke(headers, { ...data, owner: 'adobe', repo: 'theblog' }), { status: 200, error: null });
+  });
+
+  it('returns 401 for invalid bearer tokens', async () => {
+    const headers = { authorization: 'Bearer shared-secret' };
+    assert.deepStrictEqual(await invoke(headers), { status: 401, error: 'invalid token' });
+  });
+
+  it('returns 403 for repositories a credential may not access', async () => {
+    const headers = { authorization: 'Bearer bearer-token' };
+    assert.deepStrictEqual(await invoke(headers), { status: 403, error: 'slack-bot is not allowed to access adobe/helix-home' });
+    const params = { ...data, owner: 'tripodsan', repo: 'helix-home' };
+    assert.deepStrictEqual(await invoke(signRequest(params, credentials[0]), params), { status: 403, error: 'indexer is not allowed to access tripodsan/helix-home' });
+  });
+
+  it('leaves requests without repository to the function', async () => {
+    const params = { path: '/index.md' };
+    assert.deepStrictEqual(await invoke({ authorization: 'Bearer bearer-token' }, params), { status: 200, error: null });
+  });
+});
@@ -0,0 +1,73 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const { Readable } = require('stream');
+
+const { Response } = require('@adobe/helix-universal');
+
+const {
+  getContentEncoding, compress, decompress, createCompressStream, createDecompressStream,
+} = require('../src/compression.js');
+
+describe('Compression Tests', () => {
+  it('skips compression for compressed formats', async () => {
+    assert.strictEqual(getContentEncoding('image/png'), null);
+    assert.strictEqual(getContentEncoding('image/JPEG'), null);
+    assert.strictEqual(getContentEncoding('video/mp4'), null);
+    assert.strictEqual(getContentEncoding('application/pdf', { brotli: true }), null);
+  });
+
+  it('uses Brotli for text formats if allowed', async () => {
+    assert.strictEqual(getContentEncoding('text/html; charset=utf-8', { brotli: true }), 'br');
+    assert.strictEqual(getContentEncoding('application/json', { brotli: true }), 'br');
+    assert.strictEqual(getContentEncoding('application/ld+json', { brotli: true }), 'br');
+    assert.strictEqual(getContentEncoding('image/svg+xml', { brotli: true }), 'br');
+    assert.strictEqual(getContentEncoding('text/html; charset=utf-8'), 'gzip');
+  });
+
+  it('uses gzip for other formats', async () => {
+    assert.strictEqual(getContentEncoding('application/octet-stream', { brotli: true }), 'gzip');
+    assert.strictEqual(getContentEncoding(undefined, { brotli: true }), 'gzip');
+    assert.strictEqual(getContentEncoding(), 'gzip');
+  });
+
+  it('compresses and decompresses data', async () => {
+    const data = Buffer.from('# Hello, world.\n'.repeat(100));
+    for (const encoding of ['gzip', 'br']) {
+      // eslint-disable-next-line no-await-in-loop
+      const compressed = await compress(data, encoding);
+      assert.ok(compressed.length < data.length);
+      // eslint-disable-next-line no-await-in-loop
+      assert.deepStrictEqual(await decompress(compressed, encoding), data);
+    }
+    assert.strictEqual(await compress(data, null), data);
+    assert.strictEqual(await decompress(data, undefined), data);
+  });
+
+  it('compresses and decompresses streams', async () => {
+    const data = Buffer.from('# Hello, world.\n'.repeat(100));
+    for (const encoding of ['gzip', 'br']) {
+      const stream = Readable.from([data])
+        .pipe(createCompressStream(encoding))
+        .pipe(createDecompressStream(encoding));
+      // eslint-disable-next-line no-await-in-loop
+      assert.deepStrictEqual(await new Response(stream).buffer(), data);
+    }
+    assert.strictEqual(createCompressStream(null), null);
+    assert.strictEqual(createDecompressStream('identity'), null);
+  });
+});
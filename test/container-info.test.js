@@ -0,0 +1,133 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const { loadContainerInfo, recordRepository } = require('../src/container-info.js');
+const { createTempStorage } = require('./utils.js');
+
+describe('Container Info Tests', () => {
+  const mountpoint = 'https://adobe.sharepoint.com/sites/cg-helix/Shared%20Documents';
+
+  let tmp;
+  let storage;
+
+  const record = async (owner, repo, ref) => recordRepository({
+    storage,
+    contentBusId: 'foo-id',
+    mountpoint,
+    owner,
+    repo,
+    ref,
+    log: console,
+  });
+
+  const getRepositories = async () => (await loadContainerInfo(storage, 'foo-id'))
+    .repositories.map(({ owner, repo, ref }) => `${owner}/${repo}/${ref}`);
+
+  beforeEach(async () => {
+    tmp = await createTempStorage('container-info-test');
+    ({ storage } = tmp);
+  });
+
+  afterEach(async () => {
+    await tmp.remove();
+  });
+
+  it('returns null if there is no container info', async () => {
+    assert.strictEqual(await loadContainerInfo(storage, 'foo-id'), null);
+  });
+
+  it('records the repository creating the container info', async () => {
+    const info = await record('adobe', 'theblog', 'main');
+    const [{ firstSeen }] = info.repositories;
+    assert.ok(Date.parse(firstSeen));
+    assert.deepStrictEqual(info, {
+      mountpoint,
+      'original-repository': 'adobe/theblog',
+      repositories: [{
+        owner: 'adobe', repo: 'theblog', ref: 'main', firstSeen, lastSeen: firstSeen,
+      }],
+    });
+    assert.deepStrictEqual(await loadContainerInfo(storage, 'foo-id'), info);
+    assert.deepStrictEqual(await storage.metadata('foo-id/.hlx.json'), {
+      mountpoint,
+      'original-repository': 'adobe/theblog',
+    });
+    assert.notStrictEqual(await storage.load('foo-id--adobe--theblog'), null);
+  });
+
+  it('records every repository sharing the content bus', async () => {
+    await record('adobe', 'theblog', 'main');
+    await record('tripodsan', 'theblog', 'main');
+    await record('adobe', 'theblog', 'feature');
+    await record('adobe', 'theblog', 'main');
+    assert.deepStrictEqual(await getRepositories(), [
+      'adobe/theblog/main',
+      'tripodsan/theblog/main',
+      'adobe/theblog/feature',
+    ]);
+    assert.strictEqual((await loadContainerInfo(storage, 'foo-id'))['original-repository'], 'adobe/theblog');
+    assert.notStrictEqual(await storage.load('foo-id--tripodsan--theblog'), null);
+  });
+
+  it('refreshes the time a repository was last seen once in a while', async () => {
+    const info = await record('adobe', 'theblog', 'main');
+    const { firstSeen } = info.repositories[0];
+    info.repositories[0].lastSeen = '2021-05-07T18:03:19.000Z';
+    await storage.storeData('foo-id/.hlx.json', JSON.stringify(info), 'application/json');
+
+    const { repositories: [entry] } = await record('adobe', 'theblog', 'main');
+    assert.strictEqual(entry.firstSeen, firstSeen);
+    assert.ok(entry.lastSeen > '2021-05-07T18:03:19.000Z');
+    assert.deepStrictEqual((await loadContainerInfo(storage, 'foo-id')).repositories, [entry]);
+  });
+
+  it('adds the repositories to an existing container info', async () => {
+    await storage.storeData('foo-id/.hlx.json', JSON.stringify({
+      mountpoint,
+      'original-repository': 'adobe/theblog',
+    }), 'application/json');
+    await record('tripodsan', 'theblog', 'main');
+    const info = await loadContainerInfo(storage, 'foo-id');
+    assert.strictEqual(info['original-repository'], 'adobe/theblog');
+    assert.deepStrictEqual(await getRepositories(), ['tripodsan/theblog/main']);
+  });
+
+  it('retries if the container info is modified concurrently', async () => {
+    const { storeDataIfMatch } = storage;
+    let conflicts = 2;
+    storage.storeDataIfMatch = async (...args) => {
+      if (conflicts > 0) {
+        conflicts -= 1;
+        // another repository gets recorded in the meantime
+        await storeDataIfMatch.call(storage, 'foo-id/.hlx.json', JSON.stringify({
+          repositories: [{ owner: 'other', repo: `repo-${conflicts}`, ref: 'main' }],
+        }), 'application/json', {}, null);
+        return false;
+      }
+      return storeDataIfMatch.apply(storage, args);
+    };
+    await record('adobe', 'theblog', 'main');
+    assert.deepStrictEqual(await getRepositories(), ['other/repo-1/main', 'adobe/theblog/main']);
+  });
+
+  it('gives up if the container info keeps being modified', async () => {
+    storage.storeDataIfMatch = async () => false;
+    assert.strictEqual(await record('adobe', 'theblog', 'main'), null);
+    assert.strictEqual(await loadContainerInfo(storage, 'foo-id'), null);
+  });
+});
@@ -14,10 +14,9 @@
 
 'use strict';
 
-process.env.HELIX_FETCH_FORCE_HTTP1 = 'true';
-
 const assert = require('assert');
 const fs = require('fs').promises;
+const http = require('http');
 const nock = require('nock');
 const { basename, resolve } = require('path');
 const { URLSearchParams } = require('url');
@@ -41,6 +40,10 @@ describe('Content Proxy Tests', () => {
           try {
             const fsPath = resolve(SPEC_ROOT, basename(path));
             const stat = await fs.stat(fsPath);
+            const since = this.req.headers['if-modified-since'];
+            if (since && new Date(since) >= stat.mtime) {
+              return [304];
+            }
             return [200, await fs.readFile(fsPath, 'utf-8'), {
               'last-modified': stat.mtime.toGMTString(),
             }];
@@ -98,6 +101,40 @@ describe('Content Proxy Tests', () => {
     assert.strictEqual(res.status, 200);
   });
 
+  it('should return 304 for unmodified document', async () => {
+    const lastModified = new Date(Date.now() + 60000).toGMTString();
+    // nock only intercepts http requests, https ones negotiate the protocol first
+    const scope = nock('http://unmodified.adobeioruntime.net')
+      .get((uri) => uri.startsWith('/api/v1/web/helix/helix-services/content-proxy@'))
+      .matchHeader('if-modified-since', lastModified)
+      .reply(304);
+    const params = {
+      owner: 'foo',
+      repo: 'bar',
+      ref: 'baz',
+      path: '/example-post.md',
+      mp: {
+        type: 'onedrive',
+        relPath: '/example-post.md',
+        url: 'https://adobe.sharepoint.com/mymount',
+      },
+      log: console,
+      options: {
+        requestId: '5678',
+        lastModified,
+      },
+      resolver: {
+        createURL({ package: pkg, name, version }) {
+          return new URL(`http://unmodified.adobeioruntime.net/api/v1/web/helix/${pkg}/${name}@${version}`);
+        },
+      },
+    };
+    const res = await contentProxy(params);
+    assert.strictEqual(res.status, 304);
+    assert.strictEqual(res.headers.get('x-error'), null);
+    assert.ok(scope.isDone());
+  });
+
   it('should return 404 for missing document', async () => {
     const params = {
       owner: 'foo',
@@ -120,6 +157,149 @@ describe('Content Proxy Tests', () => {
     assert.strictEqual(res.status, 404);
   });
 
+  describe('Retries', () => {
+    const retryResolver = {
+      createURL({ package: pkg, name, version }) {
+        // nock only intercepts http requests, https ones negotiate the protocol first
+        return new URL(`http://retry.adobeioruntime.net/api/v1/web/helix/${pkg}/${name}@${version}`);
+      },
+    };
+    const params = {
+      owner: 'foo',
+      repo: 'bar',
+      ref: 'baz',
+      path: '/flaky.md',
+      log: console,
+      options: {},
+      retry: { delay: 0 },
+      resolver: retryResolver,
+    };
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('retries transient failures', async () => {
+      nock('http://retry.adobeioruntime.net')
+        .get((uri) => uri.startsWith('/api/v1/web/helix'))
+        .reply(503)
+        .get((uri) => uri.startsWith('/api/v1/web/helix'))
+        .reply(502)
+        .get((uri) => uri.startsWith('/api/v1/web/helix'))
+        .reply(200, '# Flaky');
+      const res = await contentProxy(params);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(await res.text(), '# Flaky');
+      assert.strictEqual(res.attempts, 3);
+      assert.strictEqual(res.headers.has('x-attempts'), false);
+    });
+
+    it('retries timeouts and connection resets', async () => {
+      nock('http://retry.adobeioruntime.net')
+        .get((uri) => uri.startsWith('/api/v1/web/helix'))
+        .delay(500)
+        .reply(200, '# Slow')
+        .get((uri) => uri.startsWith('/api/v1/web/helix'))
+        .replyWithError({ code: 'ECONNRESET', message: 'socket hang up' })
+        .get((uri) => uri.startsWith('/api/v1/web/helix'))
+        .reply(200, '# Flaky');
+      const res = await contentProxy({
+        ...params,
+        options: { fetchTimeout: 50 },
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.attempts, 3);
+    });
+
+    it('gives up after the maximum number of attempts', async () => {
+      nock('http://retry.adobeioruntime.net')
+        .get((uri) => uri.startsWith('/api/v1/web/helix'))
+        .twice()
+        .reply(504, '', { 'x-error': 'gateway timeout' });
+      const res = await contentProxy({
+        ...params,
+        retry: { attempts: '2', delay: '0', budget: '' },
+      });
+      assert.strictEqual(res.status, 504);
+      assert.strictEqual(res.headers.get('x-error'), 'gateway timeout');
+      assert.strictEqual(res.attempts, 2);
+    });
+
+    it('gives up when the time budget is exhausted', async () => {
+      nock('http://retry.adobeioruntime.net')
+        .get((uri) => uri.startsWith('/api/v1/web/helix'))
+        .replyWithError({ code: 'ECONNRESET', message: 'socket hang up' });
+      await assert.rejects(() => contentProxy({
+        ...params,
+        retry: { delay: 100, budget: 50 },
+      }), { code: 'ECONNRESET', attempts: 1 });
+    });
+
+    it('limits the time of an attempt to the budget left', async () => {
+      nock('http://retry.adobeioruntime.net')
+        .get((uri) => uri.startsWith('/api/v1/web/helix'))
+        .times(3)
+        .delay(1000)
+        .reply(200, '# Slow');
+      const start = Date.now();
+      await assert.rejects(() => contentProxy({
+        ...params,
+        options: { fetchTimeout: 20000 },
+        retry: { delay: 0, budget: 100 },
+      }), { name: 'AbortError' });
+      assert.ok(Date.now() - start < 500);
+    });
+
+    it('times out while the body is read', async () => {
+      // nock only replies once a streamed body ended, so a local server stalls instead,
+      // with a response helix-fetch doesn't buffer to cache it
+      const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'content-type': 'text/markdown', 'cache-control': 'no-store' });
+        res.write('# Stalled');
+      });
+      await new Promise((r) => server.listen(0, '127.0.0.1', r));
+      const { port } = server.address();
+      try {
+        const res = await contentProxy({
+          ...params,
+          options: { fetchTimeout: 50 },
+          resolver: {
+            createURL: () => new URL(`http://127.0.0.1:${port}/content-proxy`),
+          },
+        });
+        assert.strictEqual(res.status, 200);
+        await assert.rejects(() => res.text(), /aborted/);
+      } finally {
+        await new Promise((r) => server.close(r));
+      }
+    });
+
+    it('forwards unmodified documents', async () => {
+      nock('http://retry.adobeioruntime.net')
+        .get((uri) => uri.startsWith('/api/v1/web/helix'))
+        .matchHeader('if-modified-since', 'Fri, 07 May 2021 18:03:19 GMT')
+        .reply(304);
+      const res = await contentProxy({
+        ...params,
+        options: { lastModified: 'Fri, 07 May 2021 18:03:19 GMT' },
+      });
+      assert.strictEqual(res.status, 304);
+      assert.strictEqual(res.attempts, 1);
+    });
+
+    it('does not retry other failures', async () => {
+      nock('http://retry.adobeioruntime.net')
+        .get((uri) => uri.startsWith('/api/v1/web/helix'))
+        .replyWithError({ code: 'ECONNREFUSED', message: 'connection refused' })
+        .get((uri) => uri.startsWith('/api/v1/web/helix'))
+        .reply(500);
+      await assert.rejects(() => contentProxy(params), { code: 'ECONNREFUSED', attempts: 1 });
+      const res = await contentProxy(params);
+      assert.strictEqual(res.status, 502);
+      assert.strictEqual(res.attempts, 1);
+    });
+  });
+
   it('x-github-token is passed', async () => {
     const params = {
       owner: 'foo',
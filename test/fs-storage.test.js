@@ -0,0 +1,227 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+
+const { Response } = require('@adobe/helix-universal');
+
+const { FSStorage } = require('../src/fs-storage.js');
+const { createTempStorage } = require('./utils.js');
+
+describe('FS Storage Tests', () => {
+  let tmp;
+  let root;
+
+  beforeEach(async () => {
+    tmp = await createTempStorage('fs-storage');
+    ({ root } = tmp);
+  });
+
+  afterEach(async () => {
+    await tmp.remove();
+  });
+
+  it('constructor throws if required parameters are missing', async () => {
+    assert.throws(() => new FSStorage({ bucket: 'bloop' }), /root is required/);
+    assert.throws(() => new FSStorage({ root }), /bucket is required/);
+  });
+
+  it('store item and load it back with its metadata', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    await storage.store('live/path', new Response('body', {
+      status: 200,
+      headers: {
+        'content-type': 'text/markdown',
+        'cache-control': 'no-store',
+        'last-modified': 'Fri, 07 May 2021 18:03:19 GMT',
+        'x-source-location': 'there',
+      },
+    }));
+    const buf = await storage.load('live/path');
+    assert.strictEqual(buf.toString(), 'body');
+    assert.deepStrictEqual(await storage.metadata('live/path'), {
+      'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT',
+      'x-source-location': 'there',
+      'x-content-hash': '230d8358dc8e8890b4c58deeb62912ee2f20357ae92a5cc861b98e68fe31acb5',
+    });
+
+    const meta = JSON.parse(await fs.readFile(path.resolve(root, 'bloop', 'meta', 'live', 'path.json'), 'utf-8'));
+    assert.strictEqual(meta.ContentType, 'text/markdown');
+
+    const info = await storage.head('live/path');
+    assert.strictEqual(info.contentType, 'text/markdown');
+    assert.strictEqual(info.size, 4);
+    assert.ok(info.lastModified instanceof Date);
+    assert.strictEqual(info.metadata['x-source-location'], 'there');
+  });
+
+  it('store skips unchanged item', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    assert.strictEqual(await storage.store('live/path', new Response('body')), true);
+    assert.strictEqual(await storage.store('live/path', new Response('body')), false);
+    assert.strictEqual(await storage.store('live/path', new Response('other body')), true);
+    assert.strictEqual((await storage.load('live/path')).toString(), 'other body');
+  });
+
+  it('store updates the metadata of an unchanged item', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    const store = (lastModified) => storage.store('live/path', new Response('body', {
+      headers: { 'content-type': 'text/markdown', 'last-modified': lastModified },
+    }));
+    assert.strictEqual(await store('Fri, 07 May 2021 18:03:19 GMT'), true);
+    assert.strictEqual(await store('Sat, 08 May 2021 10:00:00 GMT'), false);
+    const info = await storage.head('live/path');
+    assert.strictEqual(info.contentType, 'text/markdown');
+    assert.strictEqual(info.metadata['x-source-last-modified'], 'Sat, 08 May 2021 10:00:00 GMT');
+    assert.strictEqual((await storage.load('live/path')).toString(), 'body');
+  });
+
+  it('store data with defaults', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    await storage.storeData('marker', '');
+    assert.strictEqual((await storage.load('marker')).toString(), '');
+    assert.deepStrictEqual(await storage.metadata('marker'), {});
+  });
+
+  it('load item unless it was not modified', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    await storage.storeData('live/path', 'body');
+    const { data, etag } = await storage.loadIfModified('live/path');
+    assert.strictEqual(data.toString(), 'body');
+    assert.strictEqual(etag, '"841a2d689ad86bd1611447453c22c6fc"');
+    assert.deepStrictEqual(await storage.loadIfModified('live/path', etag), { etag });
+
+    await storage.storeData('live/path', 'other body');
+    assert.strictEqual((await storage.loadIfModified('live/path', etag)).data.toString(), 'other body');
+    assert.strictEqual(await storage.loadIfModified('live/missing', etag), null);
+  });
+
+  it('load item as a stream', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    await storage.storeData('live/path', 'body');
+    const stream = await storage.loadStream('live/path');
+    assert.strictEqual((await new Response(stream).buffer()).toString(), 'body');
+    assert.strictEqual(await storage.loadStream('live/missing'), null);
+  });
+
+  it('load missing item and metadata', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop', readOnly: true });
+    assert.strictEqual(await storage.load('live/path'), null);
+    assert.strictEqual(await storage.metadata('live/path'), null);
+  });
+
+  it('rejects keys outside of the bucket', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    await assert.rejects(() => storage.load('../other/path'), /key outside of bucket/);
+  });
+
+  it('store item to read-only storage', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop', readOnly: true });
+    await assert.rejects(() => storage.store(
+      'live/path', new Response('body', { status: 200 }),
+    ), Error('Storage is read-only: bloop'));
+    await assert.rejects(() => storage.storeData('live/path', 'body'), Error('Storage is read-only: bloop'));
+    await assert.rejects(() => storage.copy(
+      'preview/path', 'live/path',
+    ), Error('Storage is read-only: bloop'));
+    await assert.rejects(() => storage.remove('live/path'), Error('Storage is read-only: bloop'));
+    await assert.rejects(() => storage.storeDataIfMatch('live/path', 'body', 'text/plain', {}, null), Error('Storage is read-only: bloop'));
+  });
+
+  it('store data unless it changed since it was loaded', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    assert.strictEqual(await storage.storeDataIfMatch('.hlx.json', '{}', 'application/json', {}, null), true);
+    assert.strictEqual(await storage.storeDataIfMatch('.hlx.json', '{ "a": 1 }', 'application/json', {}, null), false);
+    const { etag } = await storage.loadIfModified('.hlx.json');
+    assert.strictEqual(await storage.storeDataIfMatch('.hlx.json', '{ "a": 2 }', 'application/json', { foo: 'bar' }, etag), true);
+    assert.strictEqual(await storage.storeDataIfMatch('.hlx.json', '{ "a": 3 }', 'application/json', {}, etag), false);
+    assert.strictEqual(await storage.storeDataIfMatch('missing.json', '{}', 'application/json', {}, etag), false);
+    assert.strictEqual((await storage.load('.hlx.json')).toString(), '{ "a": 2 }');
+    assert.deepStrictEqual(await storage.metadata('.hlx.json'), { foo: 'bar' });
+  });
+
+  it('remove existing item', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    await storage.storeData('live/path', 'body');
+    await storage.remove('live/path');
+    assert.strictEqual(await storage.load('live/path'), null);
+    assert.strictEqual(await storage.metadata('live/path'), null);
+  });
+
+  it('remove non-existing item', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    await assert.rejects(() => storage.remove('live/path'), {
+      message: 'object does not exist: live/path',
+      status: 404,
+    });
+  });
+
+  it('list items below a prefix', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    await storage.storeData('preview/blog/b.md', 'body');
+    await storage.storeData('preview/blog/a.md', 'body');
+    await storage.storeData('preview/blog/2021/c.md', 'body');
+    await storage.storeData('preview/blogroll.md', 'body');
+    await storage.storeData('preview/about.md', 'body');
+    await storage.storeData('live/blog/a.md', 'body');
+
+    let objects = await storage.list('preview/blog/');
+    assert.deepStrictEqual(objects.map(({ key }) => key), [
+      'preview/blog/2021/c.md', 'preview/blog/a.md', 'preview/blog/b.md',
+    ]);
+    assert.strictEqual(objects[0].size, 4);
+    assert.ok(objects[0].lastModified instanceof Date);
+
+    objects = await storage.list('preview/blog');
+    assert.strictEqual(objects.length, 4);
+    objects = await storage.list('');
+    assert.strictEqual(objects.length, 6);
+    assert.deepStrictEqual(await storage.list('draft/'), []);
+  });
+
+  it('list a page of items', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    await Promise.all(['a', 'b', 'c', 'd'].map((name) => storage.storeData(`preview/${name}`, 'body')));
+
+    let page = await storage.listPage('preview/', { limit: 3 });
+    assert.deepStrictEqual(page.objects.map(({ key }) => key), ['preview/a', 'preview/b', 'preview/c']);
+    assert.strictEqual(page.next, 'preview/c');
+    page = await storage.listPage('preview/', { token: page.next });
+    assert.deepStrictEqual(page.objects.map(({ key }) => key), ['preview/d']);
+    assert.strictEqual(page.next, undefined);
+    assert.deepStrictEqual(await storage.listPage('draft/'), { objects: [], next: undefined });
+  });
+
+  it('copy existing item', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    await storage.storeData('preview/path', 'body', 'text/plain', { foo: 'bar' });
+    await storage.copy('preview/path', 'live/path');
+    assert.strictEqual((await storage.load('live/path')).toString(), 'body');
+    assert.deepStrictEqual(await storage.metadata('live/path'), { foo: 'bar' });
+    await storage.copy('preview/path', 'live/path', { baz: 'qux' });
+    assert.deepStrictEqual(await storage.metadata('live/path'), { foo: 'bar', baz: 'qux' });
+    storage.close();
+  });
+
+  it('copy non-existing item', async () => {
+    const storage = new FSStorage({ root, bucket: 'bloop' });
+    await assert.rejects(() => storage.copy(
+      'preview/path', 'live/path',
+    ), { message: 'source does not exist: preview/path', status: 404 });
+  });
+});
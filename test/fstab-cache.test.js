@@ -0,0 +1,112 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const { loadFstab, clearFstabCache } = require('../src/fstab-cache.js');
+
+const FSTAB = `
+mountpoints:
+  /: https://adobe.sharepoint.com/sites/cg-helix/Shared%20Documents
+`;
+
+/**
+ * Code bus storage keeping a single fstab.yaml, recording the ETags it is asked with.
+ */
+class FstabStorage {
+  constructor(data) {
+    this.data = data;
+    this.etag = '"1"';
+    this.requests = [];
+  }
+
+  async loadIfModified(key, etag) {
+    this.requests.push({ key, etag });
+    if (!this.data) {
+      return null;
+    }
+    if (etag === this.etag) {
+      return { etag };
+    }
+    return { data: Buffer.from(this.data), etag: this.etag };
+  }
+
+  update(data) {
+    this.data = data;
+    this.etag = `"${Number(this.etag.replace(/"/g, '')) + 1}"`;
+  }
+}
+
+describe('Fstab Cache Tests', () => {
+  const opts = {
+    owner: 'owner',
+    repo: 'repo',
+    ref: 'main',
+    log: console,
+  };
+
+  beforeEach(() => {
+    clearFstabCache();
+  });
+
+  it('uses the cached fstab within its time to live', async () => {
+    const storage = new FstabStorage(FSTAB);
+    const fstab = await loadFstab({ ...opts, storage });
+    assert.strictEqual(fstab.match('/index.md').url, 'https://adobe.sharepoint.com/sites/cg-helix/Shared%20Documents');
+    assert.strictEqual(await loadFstab({ ...opts, storage }), fstab);
+    assert.deepStrictEqual(storage.requests, [
+      { key: 'owner/repo/main/fstab.yaml', etag: undefined },
+    ]);
+  });
+
+  it('keeps an fstab per owner, repo and ref', async () => {
+    const storage = new FstabStorage(FSTAB);
+    const fstab = await loadFstab({ ...opts, storage });
+    assert.notStrictEqual(await loadFstab({ ...opts, ref: 'other', storage }), fstab);
+    assert.deepStrictEqual(storage.requests.map(({ key }) => key), [
+      'owner/repo/main/fstab.yaml',
+      'owner/repo/other/fstab.yaml',
+    ]);
+  });
+
+  it('revalidates the cached fstab after its time to live', async () => {
+    const storage = new FstabStorage(FSTAB);
+    const fstab = await loadFstab({ ...opts, storage, ttl: 0 });
+    assert.strictEqual(await loadFstab({ ...opts, storage, ttl: 0 }), fstab);
+
+    storage.update('mountpoints:\n  /docs: https://adobe.sharepoint.com/docs\n');
+    const updated = await loadFstab({ ...opts, storage, ttl: 0 });
+    assert.notStrictEqual(updated, fstab);
+    assert.strictEqual(updated.match('/index.md'), null);
+    assert.deepStrictEqual(storage.requests.map(({ etag }) => etag), [undefined, '"1"', '"1"']);
+  });
+
+  it('downloads the fstab again when refreshing', async () => {
+    const storage = new FstabStorage(FSTAB);
+    const fstab = await loadFstab({ ...opts, storage });
+    assert.notStrictEqual(await loadFstab({ ...opts, storage, refresh: true }), fstab);
+    assert.deepStrictEqual(storage.requests.map(({ etag }) => etag), [undefined, undefined]);
+  });
+
+  it('forgets a deleted fstab', async () => {
+    const storage = new FstabStorage(FSTAB);
+    await loadFstab({ ...opts, storage });
+    storage.update(null);
+    assert.strictEqual(await loadFstab({ ...opts, storage, ttl: 0 }), null);
+    assert.strictEqual(await loadFstab({ ...opts, storage, ttl: 0 }), null);
+    assert.deepStrictEqual(storage.requests.map(({ etag }) => etag), [undefined, '"1"', undefined]);
+  });
+});
@@ -0,0 +1,63 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const nock = require('nock');
+
+const { getTokenOwner, clearTokenOwnerCache } = require('../src/github-user.js');
+
+describe('GitHub User Tests', () => {
+  const apiURL = 'http://github.example.com/api/v3';
+  const opts = { apiURL, log: console };
+
+  beforeEach(() => {
+    clearTokenOwnerCache();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('returns the owner of a token', async () => {
+    nock('http://github.example.com')
+      .get('/api/v3/user')
+      .matchHeader('authorization', 'token secret')
+      .once()
+      .reply(200, { login: 'alice' });
+    assert.strictEqual(await getTokenOwner({ ...opts, token: 'secret' }), 'alice');
+    // the owner is cached
+    assert.strictEqual(await getTokenOwner({ ...opts, token: 'secret' }), 'alice');
+    assert.ok(nock.isDone());
+  });
+
+  it('returns null without a token', async () => {
+    assert.strictEqual(await getTokenOwner({ ...opts, token: null }), null);
+  });
+
+  it('returns null for an invalid token', async () => {
+    nock('http://github.example.com')
+      .get('/api/v3/user')
+      .reply(401, { message: 'Bad credentials' });
+    assert.strictEqual(await getTokenOwner({ ...opts, token: 'invalid' }), null);
+  });
+
+  it('returns null if GitHub is unreachable', async () => {
+    nock('http://github.example.com')
+      .get('/api/v3/user')
+      .replyWithError({ code: 'ECONNRESET', message: 'socket hang up' });
+    assert.strictEqual(await getTokenOwner({ ...opts, token: 'secret' }), null);
+  });
+});
@@ -15,14 +15,25 @@
 
 'use strict';
 
-process.env.HELIX_FETCH_FORCE_HTTP1 = 'true';
-
 const assert = require('assert');
+const crypto = require('crypto');
+const nock = require('nock');
+const proxyquire = require('proxyquire');
+const { Readable } = require('stream');
 
+const { AbortError } = require('@adobe/helix-fetch');
 const { condit } = require('@adobe/helix-testutils');
+const { Response } = require('@adobe/helix-universal');
 
 const { main } = require('../src/index.js');
-const { setupPolly, retrofit } = require('./utils.js');
+const { FSStorage } = require('../src/fs-storage.js');
+const { clearFstabCache } = require('../src/fstab-cache.js');
+const { clearTokenOwnerCache } = require('../src/github-user.js');
+const { signRequest } = require('../src/auth.js');
+const { addScheduleEntry } = require('../src/schedule.js');
+const {
+  setupPolly, retrofit, createReceiver, createTempStorage,
+} = require('./utils.js');
 
 // require('dotenv').config();
 
@@ -57,6 +68,29 @@ describe('Index Tests', () => {
     });
   });
 
+  beforeEach(function interceptAudit() {
+    // audit entries get unique keys, so their uploads can't be replayed
+    const { server } = this.polly;
+    server
+      .put('https://helix-content-bus.s3.us-east-1.amazonaws.com/:id/.audit/*')
+      .intercept((_, res) => res.status(200));
+  });
+
+  beforeEach(function interceptContainerInfo() {
+    // the container info records when a repository was last seen, so its uploads differ
+    const { server } = this.polly;
+    server
+      .put('https://helix-content-bus.s3.us-east-1.amazonaws.com/:id/.hlx.json')
+      .intercept((_, res) => res.status(200));
+    server
+      .put('https://helix-content-bus.s3.us-east-1.amazonaws.com/:marker')
+      .intercept((_, res) => res.status(200));
+  });
+
+  beforeEach(() => {
+    clearFstabCache();
+  });
+
   const awsCredentials = {
     AWS_S3_REGION: 'us-east-1',
     AWS_S3_ACCESS_KEY_ID: 'foo',
@@ -110,7 +144,12 @@ describe('Index Tests', () => {
     assert.match(res.headers['x-error'], /not mounted/);
   }).timeout(5000);
 
-  it('returns 200 without schnickschnack with an existing path', async () => {
+  it('returns 200 without schnickschnack with an existing path', async function test() {
+    const { server } = this.polly;
+    server
+      .head('https://helix-content-bus.s3.us-east-1.amazonaws.com/d4b1d4ea6d84b0229bce7cf6806b0bb3470489ab8205a13f75cfe518fa7/live/word2md-unit-tests/homepage.md')
+      .intercept((_, res) => res.status(404));
+
     const res = await index({
       owner: 'tripodsan',
       repo: 'helix-test',
@@ -123,6 +162,9 @@ describe('Index Tests', () => {
 
   it('creates marker files if missing', async function test() {
     const { server } = this.polly;
+    server
+      .head('https://helix-content-bus.s3.us-east-1.amazonaws.com/d4b1d4ea6d84b0229bce7cf6806b0bb3470489ab8205a13f75cfe518fa7/live/word2md-unit-tests/homepage.md')
+      .intercept((_, res) => res.status(404));
     server
       .get('https://helix-content-bus.s3.us-east-1.amazonaws.com/d4b1d4ea6d84b0229bce7cf6806b0bb3470489ab8205a13f75cfe518fa7/.hlx.json?x-id=GetObject')
       .intercept((_, res) => res.status(404));
@@ -137,7 +179,19 @@ describe('Index Tests', () => {
     assert.strictEqual(res.body, '');
   }).timeout(10000);
 
-  it('returns 200 when publishing an existing item', async () => {
+  it('returns 200 when publishing an existing item', async function test() {
+    const { server } = this.polly;
+    server
+      .head('https://helix-content-bus.s3.us-east-1.amazonaws.com/d4b1d4ea6d84b0229bce7cf6806b0bb3470489ab8205a13f75cfe518fa7/preview/word2md-unit-tests/homepage.md')
+      .intercept((_, res) => res.status(200).setHeaders({
+        'content-type': 'text/markdown',
+        'content-encoding': 'gzip',
+        'x-amz-meta-x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT',
+      }));
+    server
+      .head('https://helix-content-bus.s3.us-east-1.amazonaws.com/d4b1d4ea6d84b0229bce7cf6806b0bb3470489ab8205a13f75cfe518fa7/live/word2md-unit-tests/homepage.md')
+      .intercept((_, res) => res.status(404));
+
     const res = await index({
       owner: 'tripodsan',
       repo: 'helix-test',
@@ -149,7 +203,12 @@ describe('Index Tests', () => {
     assert.strictEqual(res.body, '');
   }).timeout(5000);
 
-  it('returns 304 with an existing item that did not change', async () => {
+  it('returns 304 with an existing item that did not change', async function test() {
+    const { server } = this.polly;
+    server
+      .get('https://helix-content-bus.s3.us-east-1.amazonaws.com/d4b1d4ea6d84b0229bce7cf6806b0bb3470489ab8205a13f75cfe518fa7/.hlx.json?x-id=GetObject')
+      .intercept((_, res) => res.status(200).send('{}'));
+
     const res = await index({
       owner: 'tripodsan',
       repo: 'helix-test',
@@ -159,6 +218,7 @@ describe('Index Tests', () => {
       useLastModified: true,
     }, awsCredentials, true);
     assert.strictEqual(res.statusCode, 304);
+    assert.strictEqual(res.headers['x-content-changed'], 'false');
   }).timeout(5000);
 
   it('returns 200 with an item that wasn\'t available in S3', async function test() {
@@ -199,7 +259,12 @@ describe('Index Tests', () => {
     assert.strictEqual(res.statusCode, 400);
   }).timeout(5000);
 
-  it('returns 404 when copying a missing item', async () => {
+  it('returns 404 when copying a missing item', async function test() {
+    const { server } = this.polly;
+    server
+      .head('https://helix-content-bus.s3.us-east-1.amazonaws.com/d4b1d4ea6d84b0229bce7cf6806b0bb3470489ab8205a13f75cfe518fa7/preview/nonexisting/homepage.md')
+      .intercept((_, res) => res.status(404));
+
     const res = await index({
       owner: 'tripodsan',
       repo: 'helix-test',
@@ -211,6 +276,1362 @@ describe('Index Tests', () => {
   }).timeout(5000);
 });
 
+describe('Index Tests (File System Storage)', () => {
+  const contentBusId = 'd4b1d4ea6d84b0229bce7cf6806b0bb3470489ab8205a13f75cfe518fa7';
+  const fstab = `
+    mountpoints:
+      /: https://adobe.sharepoint.com/sites/cg-helix/Shared%20Documents
+    `;
+
+  let tmp;
+  let root;
+  let env;
+  let proxyResponse;
+  let contentStorage;
+
+  const fsIndex = retrofit(proxyquire('../src/index.js', {
+    './content-proxy.js': {
+      contentProxy: async (opts) => proxyResponse(opts),
+    },
+  }).main);
+
+  beforeEach(async () => {
+    clearFstabCache();
+    tmp = await createTempStorage('index-test');
+    ({ root, storage: contentStorage } = tmp);
+    env = { STORAGE_TYPE: 'fs', STORAGE_ROOT: root };
+    await new FSStorage({ root, bucket: 'helix-code-bus' })
+      .storeData('tripodsan/helix-test/main/fstab.yaml', fstab, 'text/yaml');
+    proxyResponse = () => new Response('# Hello', {
+      headers: {
+        'content-type': 'text/markdown',
+        'last-modified': 'Fri, 07 May 2021 18:03:19 GMT',
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await tmp.remove();
+  });
+
+  it('stores content and container info', async () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      prefix: 'preview',
+    };
+    let res = await fsIndex(params, env);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['x-content-changed'], 'true');
+
+    res = await fsIndex(params, env);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['x-content-changed'], 'false');
+
+    const buf = await contentStorage.load(`${contentBusId}/preview/homepage.md`);
+    assert.strictEqual(buf.toString(), '# Hello');
+    const meta = await contentStorage.metadata(`${contentBusId}/preview/homepage.md`);
+    assert.strictEqual(meta['x-source-last-modified'], 'Fri, 07 May 2021 18:03:19 GMT');
+    const info = JSON.parse(await contentStorage.load(`${contentBusId}/.hlx.json`));
+    assert.strictEqual(info['original-repository'], 'tripodsan/helix-test');
+    assert.deepStrictEqual(info.repositories.map(({ owner, repo, ref }) => `${owner}/${repo}/${ref}`), [
+      'tripodsan/helix-test/main',
+    ]);
+    assert.notStrictEqual(await contentStorage.load(`${contentBusId}--tripodsan--helix-test`), null);
+  });
+
+  it('records every repository mounting the content bus', async () => {
+    await new FSStorage({ root, bucket: 'helix-code-bus' })
+      .storeData('adobe/helix-test/main/fstab.yaml', fstab, 'text/yaml');
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      prefix: 'preview',
+    };
+    let res = await fsIndex({ ...params, action: 'lookup' }, env);
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(res.headers['x-error'], 'no container info found for: /homepage.md');
+
+    await fsIndex(params, env);
+    await fsIndex({ ...params, owner: 'adobe' }, env);
+    res = await fsIndex({ ...params, path: undefined, action: 'lookup' }, env);
+    assert.strictEqual(res.statusCode, 200);
+    const info = JSON.parse(res.body);
+    assert.strictEqual(info.contentBusId, contentBusId);
+    assert.strictEqual(info['original-repository'], 'tripodsan/helix-test');
+    assert.deepStrictEqual(info.repositories.map(({ owner, repo, ref }) => `${owner}/${repo}/${ref}`), [
+      'tripodsan/helix-test/main',
+      'adobe/helix-test/main',
+    ]);
+    assert.notStrictEqual(await contentStorage.load(`${contentBusId}--adobe--helix-test`), null);
+  });
+
+  it('uses the cached fstab until it is refreshed', async () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      prefix: 'preview',
+    };
+    let res = await fsIndex(params, env);
+    assert.strictEqual(res.statusCode, 200);
+
+    await new FSStorage({ root, bucket: 'helix-code-bus' }).remove('tripodsan/helix-test/main/fstab.yaml');
+    res = await fsIndex(params, env);
+    assert.strictEqual(res.statusCode, 200);
+
+    res = await fsIndex({ ...params, refreshFstab: true }, env);
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.headers['x-error'], /fstab.yaml not found/);
+  });
+
+  it('revalidates the cached fstab after its time to live', async () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      prefix: 'preview',
+    };
+    const ttlEnv = { ...env, FSTAB_CACHE_TTL: '0' };
+    let res = await fsIndex(params, ttlEnv);
+    assert.strictEqual(res.statusCode, 200);
+
+    await new FSStorage({ root, bucket: 'helix-code-bus' })
+      .storeData('tripodsan/helix-test/main/fstab.yaml', 'mountpoints:\n  /docs: https://adobe.sharepoint.com/docs\n', 'text/yaml');
+    res = await fsIndex(params, ttlEnv);
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.headers['x-error'], /not mounted/);
+  });
+
+  it('keeps stored content when the source did not change', async () => {
+    await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown', {
+      'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT',
+    });
+    proxyResponse = () => new Response(null, { status: 304 });
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      prefix: 'preview',
+      useLastModified: true,
+    }, env);
+    assert.strictEqual(res.statusCode, 304);
+    assert.strictEqual(res.headers['x-content-changed'], 'false');
+    assert.strictEqual(res.headers['x-error'], undefined);
+
+    const buf = await contentStorage.load(`${contentBusId}/preview/homepage.md`);
+    assert.strictEqual(buf.toString(), '# Hello');
+    const meta = await contentStorage.metadata(`${contentBusId}/preview/homepage.md`);
+    assert.strictEqual(meta['x-content-hash'], undefined);
+    assert.notStrictEqual(await contentStorage.load(`${contentBusId}/.hlx.json`), null);
+  });
+
+  it('passes the retry policy and reports the number of attempts', async () => {
+    proxyResponse = ({ retry, path: docPath }) => {
+      assert.deepStrictEqual(retry, { attempts: '5', delay: '10', budget: undefined });
+      const res = docPath === '/homepage.md'
+        ? new Response('# Hello', { headers: { 'content-type': 'text/markdown' } })
+        : new Response('', { status: 502, headers: { 'x-error': 'bad gateway' } });
+      res.attempts = docPath === '/homepage.md' ? 2 : 5;
+      return res;
+    };
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      paths: ['/homepage.md', '/flaky.md'],
+      prefix: 'preview',
+    }, { ...env, RETRY_MAX_ATTEMPTS: '5', RETRY_DELAY: '10' }, true);
+    assert.strictEqual(res.statusCode, 200);
+    const { results } = JSON.parse(res.body);
+    assert.deepStrictEqual(results.map(({ status, attempts }) => ({ status, attempts })), [
+      { status: 200, attempts: 2 },
+      { status: 502, attempts: 5 },
+    ]);
+    // the number of attempts is not stored along with the document
+    const meta = await contentStorage.metadata(`${contentBusId}/preview/homepage.md`);
+    assert.strictEqual(meta['x-attempts'], undefined);
+  });
+
+  it('releases the body of a document that could not be stored', async () => {
+    const body = new Readable({ read() {} });
+    proxyResponse = () => new Response(body, {
+      headers: { 'content-type': 'text/markdown' },
+    });
+    const { store } = FSStorage.prototype;
+    FSStorage.prototype.store = async () => {
+      throw new Error('disk full');
+    };
+    try {
+      const res = await fsIndex({
+        owner: 'tripodsan',
+        repo: 'helix-test',
+        ref: 'main',
+        path: '/homepage.md',
+        prefix: 'preview',
+      }, env);
+      assert.strictEqual(res.statusCode, 500);
+    } finally {
+      FSStorage.prototype.store = store;
+    }
+    assert.strictEqual(body.destroyed, true);
+  });
+
+  it('returns 504 when content-proxy times out', async () => {
+    proxyResponse = () => {
+      const e = new AbortError('The operation was aborted.');
+      e.attempts = 3;
+      throw e;
+    };
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      prefix: 'preview',
+    }, env);
+    assert.strictEqual(res.statusCode, 504);
+    assert.strictEqual(res.headers['x-attempts'], '3');
+    assert.strictEqual(await contentStorage.load(`${contentBusId}/preview/homepage.md`), null);
+  });
+
+  it('keeps stored content when the source is gone', async () => {
+    await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+    proxyResponse = () => new Response('', { status: 404 });
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      prefix: 'preview',
+    }, env);
+    assert.strictEqual(res.statusCode, 404);
+    assert.notStrictEqual(await contentStorage.load(`${contentBusId}/preview/homepage.md`), null);
+  });
+
+  it('deletes stored content when the source is gone', async () => {
+    await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+    proxyResponse = () => new Response('', { status: 404 });
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      prefix: 'preview',
+      onMissing: 'delete',
+    }, env);
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(await contentStorage.load(`${contentBusId}/preview/homepage.md`), null);
+  });
+
+  it('replaces stored content with a tombstone when the source is gone', async () => {
+    await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+    proxyResponse = () => new Response('', { status: 404 });
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      prefix: 'preview',
+      onMissing: 'tombstone',
+    };
+    let res = await fsIndex(params, env);
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual((await contentStorage.load(`${contentBusId}/preview/homepage.md`)).toString(), '');
+    const { 'x-deleted': deleted } = await contentStorage.metadata(`${contentBusId}/preview/homepage.md`);
+    assert.ok(deleted);
+
+    // existing tombstone is left as is
+    res = await fsIndex(params, env);
+    assert.strictEqual(res.statusCode, 404);
+    const metadata = await contentStorage.metadata(`${contentBusId}/preview/homepage.md`);
+    assert.strictEqual(metadata['x-deleted'], deleted);
+
+    // tombstones are not published
+    res = await fsIndex({ ...params, action: 'publish' }, env);
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(await contentStorage.metadata(`${contentBusId}/live/homepage.md`), null);
+  });
+
+  it('ignores missing source when nothing is stored', async () => {
+    proxyResponse = () => new Response('', { status: 404 });
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      prefix: 'preview',
+      onMissing: 'delete',
+    }, env);
+    assert.strictEqual(res.statusCode, 404);
+  });
+
+  it('returns 400 for an unknown onMissing mode', async () => {
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      onMissing: 'shred',
+    }, env);
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.headers['x-error'], /onMissing must be one of/);
+  });
+
+  it('publishes stored content', async () => {
+    await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      action: 'publish',
+    }, env);
+    assert.strictEqual(res.statusCode, 200);
+    const buf = await contentStorage.load(`${contentBusId}/live/homepage.md`);
+    assert.strictEqual(buf.toString(), '# Hello');
+  });
+
+  it('unpublishes live content and keeps the preview', async () => {
+    await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+    await contentStorage.storeData(`${contentBusId}/live/homepage.md`, '# Hello', 'text/markdown');
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      action: 'unpublish',
+    }, env);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(await contentStorage.load(`${contentBusId}/live/homepage.md`), null);
+    assert.notStrictEqual(await contentStorage.load(`${contentBusId}/preview/homepage.md`), null);
+  });
+
+  it('returns 404 when unpublishing an item that is not live', async () => {
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      action: 'unpublish',
+    }, env);
+    assert.strictEqual(res.statusCode, 404);
+  });
+
+  it('updates a list of paths', async () => {
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      paths: ['/homepage.md', '/blog/first.md', '/blog/second.md'],
+      prefix: 'preview',
+    }, { ...env, BULK_CONCURRENCY: '2' }, true);
+    assert.strictEqual(res.statusCode, 200);
+    const { results } = JSON.parse(res.body);
+    assert.deepStrictEqual(results.map(({ path: p, status, changed }) => ({
+      path: p, status, changed,
+    })), [
+      { path: '/homepage.md', status: 200, changed: true },
+      { path: '/blog/first.md', status: 200, changed: true },
+      { path: '/blog/second.md', status: 200, changed: true },
+    ]);
+    results.forEach(({ duration }) => assert.ok(duration >= 0));
+    assert.notStrictEqual(await contentStorage.load(`${contentBusId}/preview/blog/second.md`), null);
+  });
+
+  it('rejects lists with invalid paths', async () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      paths: ['/homepage.md', 5],
+      prefix: 'preview',
+    };
+    let res = await fsIndex(params, env, true);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.headers['x-error'], 'invalid path in paths: 5');
+    res = await fsIndex({ ...params, paths: 'homepage.md' }, env);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.headers['x-error'], 'invalid path in paths: "homepage.md"');
+    res = await fsIndex({ ...params, paths: [null] }, env, true);
+    assert.strictEqual(res.headers['x-error'], 'invalid path in paths: null');
+    assert.strictEqual(await contentStorage.head(`${contentBusId}/preview/homepage.md`), null);
+  });
+
+  it('publishes a list of paths and reports failures', async () => {
+    await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      paths: ['/homepage.md', '/missing.md'],
+      action: 'publish',
+    }, env, true);
+    assert.strictEqual(res.statusCode, 200);
+    const { results } = JSON.parse(res.body);
+    assert.strictEqual(results[0].status, 200);
+    assert.strictEqual(results[0].error, undefined);
+    assert.strictEqual(results[1].status, 404);
+    assert.strictEqual(results[1].error, 'source does not exist: d4b1d4ea6d84b0229bce7cf6806b0bb3470489ab8205a13f75cfe518fa7/preview/missing.md');
+  });
+
+  it('publishes a folder recursively', async () => {
+    await contentStorage.storeData(`${contentBusId}/preview/blog/a.md`, '# A', 'text/markdown');
+    await contentStorage.storeData(`${contentBusId}/preview/blog/2021/b.md`, '# B', 'text/markdown');
+    await contentStorage.storeData(`${contentBusId}/preview/other.md`, '# Other', 'text/markdown');
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/blog',
+      action: 'publish',
+      recursive: 'true',
+    };
+    let res = await fsIndex(params, env);
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(JSON.parse(res.body), {
+      copied: [
+        `${contentBusId}/preview/blog/2021/b.md`,
+        `${contentBusId}/preview/blog/a.md`,
+      ],
+      skipped: [],
+      failed: [],
+    });
+    assert.strictEqual((await contentStorage.load(`${contentBusId}/live/blog/2021/b.md`)).toString(), '# B');
+    assert.strictEqual(await contentStorage.load(`${contentBusId}/live/other.md`), null);
+
+    // publishing again skips the unchanged documents
+    res = await fsIndex({ ...params, path: '/blog/' }, env);
+    assert.strictEqual(JSON.parse(res.body).skipped.length, 2);
+  });
+
+  it('lists a partition page by page', async () => {
+    await contentStorage.store(`${contentBusId}/preview/a.md`, proxyResponse());
+    await contentStorage.storeData(`${contentBusId}/preview/blog/b.md`, '# B', 'text/markdown');
+    await contentStorage.storeData(`${contentBusId}/preview/blog/c.md`, '# C', 'text/markdown');
+    await contentStorage.storeData(`${contentBusId}/live/a.md`, '# Hello', 'text/markdown');
+
+    let res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      action: 'list',
+      partition: 'preview',
+      limit: 2,
+    }, env);
+    assert.strictEqual(res.statusCode, 200);
+    let result = JSON.parse(res.body);
+    assert.deepStrictEqual(result.entries.map(({ path: p }) => p), ['/a.md', '/blog/b.md']);
+    assert.strictEqual(result.entries[0].size, 7);
+    assert.strictEqual(result.entries[0].contentType, 'text/markdown');
+    assert.strictEqual(result.entries[0].sourceLastModified, 'Fri, 07 May 2021 18:03:19 GMT');
+    assert.ok(result.entries[0].lastModified);
+
+    res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      action: 'list',
+      partition: 'preview',
+      limit: 2,
+      token: result.next,
+    }, env);
+    result = JSON.parse(res.body);
+    assert.deepStrictEqual(result.entries.map(({ path: p }) => p), ['/blog/c.md']);
+    assert.strictEqual(result.next, undefined);
+
+    res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      action: 'list',
+      partition: 'preview',
+      path: '/blog',
+    }, env);
+    result = JSON.parse(res.body);
+    assert.deepStrictEqual(result.entries.map(({ path: p }) => p), ['/blog/b.md', '/blog/c.md']);
+  });
+
+  it('returns the status of a document', async () => {
+    await contentStorage.store(`${contentBusId}/preview/homepage.md`, proxyResponse());
+    await contentStorage.copy(`${contentBusId}/preview/homepage.md`, `${contentBusId}/live/homepage.md`);
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      action: 'status',
+    }, env);
+    assert.strictEqual(res.statusCode, 200);
+    const status = JSON.parse(res.body);
+    assert.strictEqual(status.state, 'published');
+    assert.strictEqual(status.preview.exists, true);
+    assert.strictEqual(status.live.sourceLastModified, 'Fri, 07 May 2021 18:03:19 GMT');
+  });
+
+  it('archives live versions and rolls back to one of them', async () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+    };
+    await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# First', 'text/markdown');
+    let res = await fsIndex({ ...params, action: 'publish', publisher: 'alice' }, env);
+    assert.strictEqual(res.statusCode, 200);
+    await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Second', 'text/markdown');
+    res = await fsIndex({ ...params, action: 'publish', publisher: 'bob' }, env);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual((await contentStorage.load(`${contentBusId}/live/homepage.md`)).toString(), '# Second');
+    const { 'x-publisher': publisher } = await contentStorage.metadata(`${contentBusId}/live/homepage.md`);
+    assert.strictEqual(publisher, 'bob');
+
+    res = await fsIndex({ ...params, action: 'versions' }, env);
+    assert.strictEqual(res.statusCode, 200);
+    let { versions } = JSON.parse(res.body);
+    assert.strictEqual(versions.length, 1);
+    assert.strictEqual(versions[0].publisher, 'alice');
+    // without a GitHub token, nobody is verified to have published it
+    assert.strictEqual(versions[0].publishedBy, undefined);
+    assert.ok(versions[0].publishedAt);
+    assert.strictEqual(versions[0].size, 7);
+
+    res = await fsIndex({
+      ...params, action: 'rollback', version: versions[0].version, publisher: 'carol',
+    }, env);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual((await contentStorage.load(`${contentBusId}/live/homepage.md`)).toString(), '# First');
+    const meta = await contentStorage.metadata(`${contentBusId}/live/homepage.md`);
+    assert.strictEqual(meta['x-restored-from'], versions[0].version);
+    assert.strictEqual(meta['x-publisher'], 'carol');
+
+    // the rolled back live copy was archived itself, and so is an unpublished one
+    res = await fsIndex({ ...params, action: 'unpublish' }, env);
+    assert.strictEqual(res.statusCode, 200);
+    res = await fsIndex({ ...params, action: 'versions' }, env);
+    ({ versions } = JSON.parse(res.body));
+    assert.strictEqual(versions.length, 3);
+  });
+
+  it('returns 404 when rolling back to a missing version', async () => {
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      action: 'rollback',
+      version: '2021-05-07T180319.000Z',
+    }, env);
+    assert.strictEqual(res.statusCode, 404);
+  });
+
+  it('returns 400 when rolling back to an invalid version', async () => {
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      action: 'rollback',
+      version: '../../preview/homepage.md',
+    }, env);
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.headers['x-error'], /invalid version/);
+  });
+
+  it('returns 400 when listing an unknown partition', async () => {
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      action: 'list',
+      partition: 'draft',
+    }, env);
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.headers['x-error'], /partition must be one of/);
+  });
+
+  it('returns 400 for a list limit that is not a positive integer', async () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      action: 'list',
+      partition: 'preview',
+    };
+    for (const limit of ['-5', '0', '1.5', 'all']) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await fsIndex({ ...params, limit }, env);
+      assert.strictEqual(res.statusCode, 400);
+      assert.strictEqual(res.headers['x-error'], `limit must be a positive integer: ${limit}`);
+    }
+    const res = await fsIndex({ ...params, limit: '5000' }, env);
+    assert.strictEqual(res.statusCode, 200);
+  });
+
+  it('returns 404 when publishing a missing item', async () => {
+    const res = await fsIndex({
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/missing.md',
+      action: 'publish',
+    }, env);
+    assert.strictEqual(res.statusCode, 404);
+  });
+
+  it('authenticates requests if credentials are configured', async () => {
+    const credential = { id: 'indexer', secret: 'secret', repos: ['tripodsan/*'] };
+    const authEnv = { ...env, AUTH_CREDENTIALS: JSON.stringify([credential]) };
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      prefix: 'preview',
+    };
+    let res = await fsIndex(params, authEnv, true);
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(await contentStorage.load(`${contentBusId}/preview/homepage.md`), null);
+
+    res = await fsIndex(params, authEnv, true, signRequest(params, credential));
+    assert.strictEqual(res.statusCode, 200);
+    assert.notStrictEqual(await contentStorage.load(`${contentBusId}/preview/homepage.md`), null);
+  });
+
+  describe('CDN purge', () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+    };
+
+    let purgeServer;
+
+    afterEach(async () => {
+      await purgeServer.close();
+    });
+
+    it('purges a published document', async () => {
+      purgeServer = await createReceiver();
+      await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+      const res = await fsIndex({ ...params, action: 'publish' }, {
+        ...env,
+        PURGE_URL: purgeServer.url,
+        PURGE_TOKEN: 'secret',
+      });
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['x-purge'], 'ok');
+      assert.strictEqual(purgeServer.requests[0].headers.authorization, 'Bearer secret');
+      assert.deepStrictEqual(purgeServer.requests[0].body, {
+        type: 'surrogate-key',
+        keys: [`${contentBusId}/live/homepage.md`],
+      });
+    });
+
+    it('reports a failed purge without failing the publish', async () => {
+      purgeServer = await createReceiver([401]);
+      await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+      const res = await fsIndex({ ...params, action: 'publish' }, { ...env, PURGE_URL: purgeServer.url });
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['x-purge'], 'failed');
+      assert.strictEqual(res.headers['x-purge-error'], 'status 401');
+      assert.notStrictEqual(await contentStorage.load(`${contentBusId}/live/homepage.md`), null);
+    });
+
+    it('retries purges with a budget of their own', async () => {
+      purgeServer = await createReceiver([503]);
+      await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+      const res = await fsIndex({ ...params, action: 'publish' }, {
+        ...env,
+        PURGE_URL: purgeServer.url,
+        RETRY_MAX_ATTEMPTS: '5',
+        RETRY_DELAY: '0',
+      });
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['x-purge'], 'failed');
+      assert.strictEqual(purgeServer.requests.length, 2);
+    });
+
+    it('purges updated documents only if enabled and changed', async () => {
+      purgeServer = await createReceiver();
+      const update = { ...params, prefix: 'preview' };
+      let res = await fsIndex(update, { ...env, PURGE_URL: purgeServer.url });
+      assert.strictEqual(res.headers['x-purge'], undefined);
+
+      const purgeEnv = {
+        ...env,
+        PURGE_URL: purgeServer.url,
+        PURGE_TYPE: 'url',
+        PURGE_ON_UPDATE: 'true',
+      };
+      res = await fsIndex({ ...update, path: '/blog/index.md' }, purgeEnv);
+      assert.strictEqual(res.headers['x-purge'], 'ok');
+      res = await fsIndex({ ...update, path: '/blog/index.md' }, purgeEnv);
+      assert.strictEqual(res.headers['x-content-changed'], 'false');
+      assert.strictEqual(res.headers['x-purge'], undefined);
+      assert.deepStrictEqual(purgeServer.requests.map(({ body }) => body), [{
+        type: 'url',
+        urls: ['https://main--helix-test--tripodsan.hlx.page/blog/'],
+      }]);
+    });
+
+    it('purges unpublished and rolled back documents', async () => {
+      purgeServer = await createReceiver();
+      const purgeEnv = { ...env, PURGE_URL: purgeServer.url };
+      await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+      await contentStorage.storeData(`${contentBusId}/live/homepage.md`, '# Old', 'text/markdown');
+      await fsIndex({ ...params, action: 'publish' }, purgeEnv);
+      let res = await fsIndex({ ...params, action: 'versions' }, env);
+      const { versions: [{ version }] } = JSON.parse(res.body);
+      res = await fsIndex({ ...params, action: 'rollback', version }, purgeEnv);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['x-purge'], 'ok');
+      res = await fsIndex({ ...params, action: 'unpublish' }, purgeEnv);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['x-purge'], 'ok');
+      assert.strictEqual(purgeServer.requests.length, 3);
+    });
+
+    it('purges the documents of a folder published recursively', async () => {
+      purgeServer = await createReceiver();
+      await contentStorage.storeData(`${contentBusId}/preview/blog/a.md`, '# A', 'text/markdown');
+      await contentStorage.storeData(`${contentBusId}/preview/blog/2021/b.md`, '# B', 'text/markdown');
+      const folder = {
+        ...params, path: '/blog', action: 'publish', recursive: 'true',
+      };
+      const purgeEnv = { ...env, PURGE_URL: purgeServer.url };
+      let res = await fsIndex(folder, purgeEnv);
+      assert.deepStrictEqual(JSON.parse(res.body).purge, { status: 'ok', attempts: 1 });
+      assert.deepStrictEqual(purgeServer.requests[0].body.keys, [
+        `${contentBusId}/live/blog/2021/b.md`,
+        `${contentBusId}/live/blog/a.md`,
+      ]);
+
+      // nothing to purge if nothing was copied
+      res = await fsIndex(folder, purgeEnv);
+      assert.strictEqual(JSON.parse(res.body).purge, undefined);
+      assert.strictEqual(purgeServer.requests.length, 1);
+    });
+
+    it('reports the purge outcome of every path', async () => {
+      purgeServer = await createReceiver();
+      await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+      const res = await fsIndex({
+        ...params, path: undefined, paths: ['/homepage.md', '/missing.md'], action: 'publish',
+      }, { ...env, PURGE_URL: purgeServer.url }, true);
+      const { results } = JSON.parse(res.body);
+      assert.strictEqual(results[0].purge, 'ok');
+      assert.strictEqual(results[1].purge, undefined);
+    });
+
+    it('returns 500 for an unknown purge type', async () => {
+      purgeServer = await createReceiver();
+      const res = await fsIndex({ ...params, action: 'publish' }, {
+        ...env,
+        PURGE_URL: purgeServer.url,
+        PURGE_TYPE: 'tag',
+      });
+      assert.strictEqual(res.statusCode, 500);
+      assert.match(res.headers['x-error'], /PURGE_TYPE must be one of/);
+    });
+  });
+
+  describe('Webhooks', () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+    };
+
+    let receiver;
+    let webhookEnv;
+
+    beforeEach(async () => {
+      receiver = await createReceiver();
+      webhookEnv = {
+        ...env,
+        WEBHOOK_URLS: receiver.url,
+        WEBHOOK_SECRET: 'secret',
+      };
+    });
+
+    afterEach(async () => {
+      await receiver.close();
+    });
+
+    const getEvents = () => receiver.requests.map(({ body }) => {
+      assert.ok(Date.parse(body.timestamp));
+      const event = { ...body };
+      delete event.timestamp;
+      return event;
+    });
+
+    it('notifies about updated documents', async () => {
+      const update = { ...params, prefix: 'preview' };
+      let res = await fsIndex(update, webhookEnv);
+      assert.strictEqual(res.statusCode, 200);
+      res = await fsIndex(update, webhookEnv);
+      assert.strictEqual(res.headers['x-content-changed'], 'false');
+
+      const event = {
+        action: 'update',
+        owner: 'tripodsan',
+        repo: 'helix-test',
+        ref: 'main',
+        path: '/homepage.md',
+        contentBusId,
+        key: `${contentBusId}/preview/homepage.md`,
+        changed: true,
+        sourceLastModified: 'Fri, 07 May 2021 18:03:19 GMT',
+      };
+      assert.deepStrictEqual(getEvents(), [event, { ...event, changed: false }]);
+      assert.strictEqual(receiver.requests[0].headers['x-hlx-event'], 'update');
+      assert.match(receiver.requests[0].headers['x-hlx-signature'], /^sha256=[0-9a-f]{64}$/);
+    });
+
+    it('notifies about published, rolled back and unpublished documents', async () => {
+      await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+      await contentStorage.storeData(`${contentBusId}/live/homepage.md`, '# Old', 'text/markdown');
+      await fsIndex({ ...params, action: 'publish' }, webhookEnv);
+      let res = await fsIndex({ ...params, action: 'versions' }, webhookEnv);
+      const { versions: [{ version }] } = JSON.parse(res.body);
+      res = await fsIndex({ ...params, action: 'rollback', version }, webhookEnv);
+      res = await fsIndex({ ...params, action: 'unpublish' }, webhookEnv);
+      assert.strictEqual(res.statusCode, 200);
+
+      const events = getEvents().map(({ action, key, changed }) => ({ action, key, changed }));
+      assert.deepStrictEqual(events, [
+        { action: 'publish', key: `${contentBusId}/live/homepage.md`, changed: true },
+        { action: 'rollback', key: `${contentBusId}/live/homepage.md`, changed: true },
+        { action: 'unpublish', key: `${contentBusId}/live/homepage.md`, changed: true },
+      ]);
+    });
+
+    it('notifies about every document of a folder published recursively', async () => {
+      await contentStorage.storeData(`${contentBusId}/preview/blog/a.md`, '# A', 'text/markdown');
+      await contentStorage.storeData(`${contentBusId}/preview/blog/2021/b.md`, '# B', 'text/markdown');
+      const res = await fsIndex({
+        ...params, path: '/blog', action: 'publish', recursive: 'true',
+      }, webhookEnv);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(getEvents().map(({ path: p }) => p).sort(), ['/blog/2021/b.md', '/blog/a.md']);
+    });
+
+    it('does not notify about failed operations', async () => {
+      const res = await fsIndex({ ...params, action: 'publish' }, webhookEnv);
+      assert.strictEqual(res.statusCode, 404);
+      assert.strictEqual(receiver.requests.length, 0);
+    });
+
+    it('returns 500 if the webhook secret is missing', async () => {
+      const res = await fsIndex({ ...params, action: 'publish' }, { ...webhookEnv, WEBHOOK_SECRET: '' });
+      assert.strictEqual(res.statusCode, 500);
+      assert.match(res.headers['x-error'], /WEBHOOK_SECRET is required/);
+    });
+  });
+
+  describe('Audit log', () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+    };
+
+    let auditEnv;
+
+    beforeEach(() => {
+      clearTokenOwnerCache();
+      auditEnv = { ...env, GITHUB_API_URL: 'http://github.example.com' };
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    const readAuditLog = async (query = {}) => {
+      const res = await fsIndex({
+        ...params, path: undefined, action: 'audit', ...query,
+      }, auditEnv);
+      assert.strictEqual(res.statusCode, 200);
+      return JSON.parse(res.body).entries;
+    };
+
+    it('records updates and publications with the owner of the GitHub token', async () => {
+      nock('http://github.example.com')
+        .get('/user')
+        .matchHeader('authorization', 'token secret')
+        .reply(200, { login: 'alice' });
+      const headers = { 'x-github-token': 'secret', 'x-request-id': 'req-1' };
+      let res = await fsIndex({ ...params, prefix: 'preview' }, auditEnv, false, headers);
+      assert.strictEqual(res.statusCode, 200);
+      res = await fsIndex({
+        ...params, action: 'publish', publisher: 'mallory',
+      }, auditEnv, false, headers);
+      assert.strictEqual(res.statusCode, 200);
+      const meta = await contentStorage.metadata(`${contentBusId}/live/homepage.md`);
+      assert.strictEqual(meta['x-published-by'], 'alice');
+      assert.strictEqual(meta['x-publisher'], 'mallory');
+      res = await fsIndex({ ...params, path: '/missing.md', action: 'publish' }, auditEnv);
+      assert.strictEqual(res.statusCode, 404);
+      // reading doesn't get recorded
+      await fsIndex({ ...params, action: 'status' }, auditEnv);
+
+      const entries = await readAuditLog();
+      entries.forEach(({ timestamp, duration }) => {
+        assert.ok(Date.parse(timestamp));
+        assert.ok(duration >= 0);
+      });
+      assert.deepStrictEqual(entries.map(({
+        requestId, user, action, path: p, status,
+      }) => ({
+        requestId, user, action, path: p, status,
+      })), [
+        {
+          requestId: 'req-1', user: 'alice', action: 'update', path: '/homepage.md', status: 200,
+        },
+        {
+          requestId: 'req-1', user: 'alice', action: 'publish', path: '/homepage.md', status: 200,
+        },
+        {
+          requestId: '', user: null, action: 'publish', path: '/missing.md', status: 404,
+        },
+      ]);
+      assert.strictEqual((await readAuditLog({ path: '/missing.md' })).length, 1);
+      assert.strictEqual((await readAuditLog({ from: '2021-05-07T00:00:00Z', to: '2021-05-08T00:00:00Z' })).length, 0);
+    });
+
+    it('records every path of a bulk operation', async () => {
+      const res = await fsIndex({
+        ...params, path: undefined, paths: ['/a.md', '/b.md'], prefix: 'preview',
+      }, auditEnv, true);
+      assert.strictEqual(res.statusCode, 200);
+      const entries = await readAuditLog();
+      assert.deepStrictEqual(entries.map(({ path: p }) => p).sort(), ['/a.md', '/b.md']);
+    });
+
+    it('does not fail the operation if the audit log cannot be written', async () => {
+      // a file in place of the audit folder
+      await contentStorage.storeData(`${contentBusId}/.audit`, '', 'text/plain');
+      const res = await fsIndex({ ...params, prefix: 'preview' }, auditEnv);
+      assert.strictEqual(res.statusCode, 200);
+    });
+
+    it('returns 400 for an invalid time range', async () => {
+      const query = { ...params, action: 'audit' };
+      let res = await fsIndex({ ...query, from: 'yesterday' }, auditEnv);
+      assert.strictEqual(res.statusCode, 400);
+      assert.match(res.headers['x-error'], /invalid time range/);
+      res = await fsIndex({ ...query, from: '2021-05-08T00:00:00Z', to: '2021-05-07T00:00:00Z' }, auditEnv);
+      assert.strictEqual(res.statusCode, 400);
+      res = await fsIndex({ ...query, from: '2021-01-01T00:00:00Z', to: '2021-05-07T00:00:00Z' }, auditEnv);
+      assert.strictEqual(res.statusCode, 400);
+    });
+  });
+
+  describe('Sitemap', () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+      action: 'publish',
+    };
+
+    let sitemapEnv;
+
+    beforeEach(async () => {
+      sitemapEnv = {
+        ...env,
+        SITEMAP_ENABLED: 'true',
+        SITEMAP_EXCLUDE: '/drafts/*',
+      };
+      await Promise.all(['homepage.md', 'blog/a.md', 'drafts/b.md'].map((key) => contentStorage
+        .storeData(`${contentBusId}/preview/${key}`, '# Hello', 'text/markdown', {
+          'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT',
+        })));
+    });
+
+    const getLocs = async () => {
+      const sitemap = (await contentStorage.load(`${contentBusId}/live/sitemap.xml`)).toString();
+      return sitemap.match(/<loc>[^<]*<\/loc>/g);
+    };
+
+    it('is not maintained unless enabled', async () => {
+      const res = await fsIndex(params, env);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(await contentStorage.head(`${contentBusId}/live/sitemap.xml`), null);
+    });
+
+    it('is updated after publishing and unpublishing', async () => {
+      let res = await fsIndex(params, sitemapEnv);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(await getLocs(), [
+        '<loc>https://main--helix-test--tripodsan.hlx.live/homepage</loc>',
+      ]);
+      const sitemap = (await contentStorage.load(`${contentBusId}/live/sitemap.xml`)).toString();
+      assert.ok(sitemap.includes('<lastmod>2021-05-07T18:03:19.000Z</lastmod>'));
+
+      res = await fsIndex({
+        ...params, path: undefined, paths: ['/blog/a.md', '/drafts/b.md', '/missing.md'],
+      }, { ...sitemapEnv, SITEMAP_HOST: 'https://www.example.com/' });
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(await getLocs(), [
+        '<loc>https://www.example.com/blog/a</loc>',
+        '<loc>https://www.example.com/homepage</loc>',
+      ]);
+
+      // the host is kept with the sitemap
+      res = await fsIndex({ ...params, action: 'unpublish' }, sitemapEnv);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(await getLocs(), [
+        '<loc>https://www.example.com/blog/a</loc>',
+      ]);
+    });
+
+    it('is updated with the documents published recursively', async () => {
+      let res = await fsIndex(params, sitemapEnv);
+      assert.strictEqual(res.statusCode, 200);
+      // documents changed in the meantime are only listed once they are published
+      await contentStorage.storeData(`${contentBusId}/live/other.md`, '# Other', 'text/markdown');
+      res = await fsIndex({ ...params, path: '/blog', recursive: 'true' }, sitemapEnv);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(await getLocs(), [
+        '<loc>https://main--helix-test--tripodsan.hlx.live/blog/a</loc>',
+        '<loc>https://main--helix-test--tripodsan.hlx.live/homepage</loc>',
+      ]);
+    });
+
+    it('is not updated after failed operations or updates', async () => {
+      let res = await fsIndex({ ...params, path: '/missing.md' }, sitemapEnv);
+      assert.strictEqual(res.statusCode, 404);
+      res = await fsIndex({ ...params, action: 'update', prefix: 'preview' }, sitemapEnv);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(await contentStorage.head(`${contentBusId}/live/sitemap.xml`), null);
+    });
+
+    it('does not fail the operation if the sitemap cannot be updated', async () => {
+      // a folder in place of the sitemap
+      await contentStorage.storeData(`${contentBusId}/live/sitemap.xml/readme`, '', 'text/plain');
+      const res = await fsIndex(params, sitemapEnv);
+      assert.strictEqual(res.statusCode, 200);
+    });
+  });
+
+  describe('Query index', () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      path: '/homepage.md',
+    };
+
+    let indexEnv;
+
+    beforeEach(() => {
+      indexEnv = {
+        ...env,
+        QUERY_INDEX_ENABLED: 'true',
+        QUERY_INDEX_FIELDS: 'title,lastModified',
+      };
+    });
+
+    const getIndex = async (partition) => {
+      const buf = await contentStorage.load(`${contentBusId}/${partition}/query-index.json`);
+      return buf ? JSON.parse(buf).data : null;
+    };
+
+    it('is not maintained unless enabled', async () => {
+      const res = await fsIndex({ ...params, prefix: 'preview' }, env);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(await getIndex('preview'), null);
+    });
+
+    it('indexes updated, published and unpublished documents', async () => {
+      let res = await fsIndex({ ...params, prefix: 'preview' }, indexEnv);
+      assert.strictEqual(res.statusCode, 200);
+      const entry = { path: '/homepage', title: 'Hello', lastModified: 1620410599 };
+      assert.deepStrictEqual(await getIndex('preview'), [entry]);
+      assert.strictEqual(await getIndex('live'), null);
+
+      res = await fsIndex({ ...params, action: 'publish' }, indexEnv);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(await getIndex('live'), [entry]);
+
+      res = await fsIndex({ ...params, action: 'unpublish' }, indexEnv);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(await getIndex('live'), []);
+      assert.deepStrictEqual(await getIndex('preview'), [entry]);
+    });
+
+    it('removes documents whose source is gone', async () => {
+      await fsIndex({ ...params, prefix: 'preview' }, indexEnv);
+      proxyResponse = () => new Response('', { status: 404 });
+      const res = await fsIndex({ ...params, prefix: 'preview', onMissing: 'tombstone' }, indexEnv);
+      assert.strictEqual(res.statusCode, 404);
+      assert.deepStrictEqual(await getIndex('preview'), []);
+    });
+
+    it('indexes every path of a bulk operation', async () => {
+      const res = await fsIndex({
+        ...params, path: undefined, paths: ['/a.md', '/b.md'], prefix: 'preview',
+      }, indexEnv, true);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual((await getIndex('preview')).map(({ path: p }) => p), ['/a', '/b']);
+    });
+
+    it('indexes every document of a folder published recursively', async () => {
+      await contentStorage.storeData(`${contentBusId}/preview/blog/a.md`, '# A', 'text/markdown');
+      await contentStorage.storeData(`${contentBusId}/preview/blog/2021/b.md`, '# B', 'text/markdown');
+      const res = await fsIndex({
+        ...params, path: '/blog', action: 'publish', recursive: 'true',
+      }, indexEnv);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(await getIndex('live'), [
+        { path: '/blog/2021/b', title: 'B', lastModified: '' },
+        { path: '/blog/a', title: 'A', lastModified: '' },
+      ]);
+    });
+
+    it('does not publish the index of the preview partition', async () => {
+      await contentStorage.storeData(`${contentBusId}/preview/old.md`, '# Old', 'text/markdown');
+      await contentStorage.storeData(`${contentBusId}/preview/new.md`, '# New', 'text/markdown');
+      let res = await fsIndex({ ...params, path: '/old.md', action: 'publish' }, indexEnv);
+      assert.strictEqual(res.statusCode, 200);
+      res = await fsIndex({ ...params, path: '/new.md', prefix: 'preview' }, indexEnv);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual((await getIndex('preview')).map(({ path: p }) => p), ['/new']);
+
+      res = await fsIndex({
+        ...params, path: '/', action: 'publish', recursive: 'true',
+      }, indexEnv);
+      assert.strictEqual(res.statusCode, 200);
+      const { copied, skipped } = JSON.parse(res.body);
+      assert.deepStrictEqual(copied, [`${contentBusId}/preview/new.md`]);
+      assert.ok(skipped.includes(`${contentBusId}/preview/query-index.json`));
+      assert.deepStrictEqual((await getIndex('live')).map(({ path: p }) => p), ['/new', '/old']);
+
+      res = await fsIndex({ ...params, path: '/query-index.json', action: 'publish' }, indexEnv);
+      assert.strictEqual(res.statusCode, 400);
+      assert.strictEqual(res.headers['x-error'], 'generated objects are not published: /query-index.json');
+      assert.deepStrictEqual((await getIndex('live')).map(({ path: p }) => p), ['/new', '/old']);
+    });
+
+    it('uses the fields of the original repository of the content bus', async () => {
+      await contentStorage.storeData(`${contentBusId}/.hlx.json`, JSON.stringify({
+        mountpoint: 'https://adobe.sharepoint.com/sites/cg-helix/Shared%20Documents',
+        'original-repository': 'adobe/helix-test',
+      }), 'application/json');
+      const res = await fsIndex({ ...params, prefix: 'preview' }, {
+        ...indexEnv,
+        QUERY_INDEX_FIELDS: JSON.stringify({ 'adobe/helix-test': 'title', '*': 'description' }),
+      });
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(await getIndex('preview'), [{ path: '/homepage', title: 'Hello' }]);
+    });
+
+    it('does not fail the operation if the index cannot be updated', async () => {
+      await contentStorage.storeData(`${contentBusId}/preview/query-index.json`, '{', 'application/json');
+      const res = await fsIndex({ ...params, prefix: 'preview' }, indexEnv);
+      assert.strictEqual(res.statusCode, 200);
+    });
+
+    it('returns 500 for an invalid fields configuration', async () => {
+      const res = await fsIndex(params, { ...indexEnv, QUERY_INDEX_FIELDS: '{ "*": ' });
+      assert.strictEqual(res.statusCode, 500);
+      assert.match(res.headers['x-error'], /QUERY_INDEX_FIELDS is not valid JSON/);
+    });
+  });
+
+  describe('Schedule', () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+    };
+    const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const yesterday = () => new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const listSchedule = async (query = {}) => {
+      const res = await fsIndex({ ...params, action: 'schedules', ...query }, env);
+      assert.strictEqual(res.statusCode, 200);
+      return JSON.parse(res.body).entries;
+    };
+
+    it('schedules, lists and cancels publications', async () => {
+      const at = tomorrow();
+      let res = await fsIndex({
+        ...params, path: '/homepage.md', action: 'schedule', at,
+      }, env);
+      assert.strictEqual(res.statusCode, 200);
+      const entry = JSON.parse(res.body);
+      assert.strictEqual(entry.action, 'publish');
+      assert.strictEqual(entry.at, at);
+      assert.strictEqual(entry.status, 'pending');
+
+      res = await fsIndex({
+        ...params, path: '/blog/a.md', action: 'schedule', operation: 'unpublish', at,
+      }, env);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual((await listSchedule()).map(({ path: p, action }) => `${action} ${p}`), [
+        'publish /homepage.md',
+        'unpublish /blog/a.md',
+      ]);
+      assert.strictEqual((await listSchedule({ path: '/blog/' })).length, 1);
+
+      res = await fsIndex({ ...params, action: 'cancel-schedule', id: entry.id }, env);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(JSON.parse(res.body).status, 'cancelled');
+      res = await fsIndex({ ...params, action: 'cancel-schedule', id: entry.id }, env);
+      assert.strictEqual(res.statusCode, 404);
+      assert.strictEqual(res.headers['x-error'], `no pending schedule entry: ${entry.id}`);
+    });
+
+    it('returns 400 for invalid schedules', async () => {
+      const query = { ...params, path: '/homepage.md', action: 'schedule' };
+      let res = await fsIndex({ ...query, operation: 'update', at: tomorrow() }, env);
+      assert.strictEqual(res.statusCode, 400);
+      assert.strictEqual(res.headers['x-error'], 'operation must be one of: publish, unpublish');
+      res = await fsIndex(query, env);
+      assert.strictEqual(res.statusCode, 400);
+      res = await fsIndex({ ...query, at: yesterday().toISOString() }, env);
+      assert.strictEqual(res.statusCode, 400);
+      assert.match(res.headers['x-error'], /^at must be a time in the future/);
+      res = await fsIndex({ ...params, action: 'cancel-schedule' }, env);
+      assert.strictEqual(res.statusCode, 400);
+      assert.strictEqual(res.headers['x-error'], 'id parameter is required');
+    });
+
+    it('performs the entries that are due', async () => {
+      await contentStorage.storeData(`${contentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+      await contentStorage.storeData(`${contentBusId}/live/old.md`, '# Old', 'text/markdown');
+      const entries = [
+        { action: 'publish', path: '/homepage.md', at: yesterday() },
+        { action: 'unpublish', path: '/old.md', at: yesterday() },
+        { action: 'publish', path: '/missing.md', at: yesterday() },
+        { action: 'publish', path: '/later.md', at: new Date(tomorrow()) },
+      ];
+      for (const entry of entries) {
+        // eslint-disable-next-line no-await-in-loop
+        await addScheduleEntry(contentStorage, contentBusId, { ...entry, user: 'alice' });
+      }
+
+      const sitemapEnv = { ...env, SITEMAP_ENABLED: 'true' };
+      let res = await fsIndex({ ...params, action: 'process-schedule' }, sitemapEnv);
+      assert.strictEqual(res.statusCode, 200);
+      const { results } = JSON.parse(res.body);
+      const outcomes = results.map(({ path: p, status, result }) => ({ path: p, status, result }));
+      assert.deepStrictEqual(outcomes, [
+        { path: '/homepage.md', status: 'done', result: { status: 200 } },
+        { path: '/old.md', status: 'done', result: { status: 200 } },
+        {
+          path: '/missing.md',
+          status: 'failed',
+          result: { status: 404, error: `source does not exist: ${contentBusId}/preview/missing.md` },
+        },
+      ]);
+      assert.strictEqual((await contentStorage.load(`${contentBusId}/live/homepage.md`)).toString(), '# Hello');
+      assert.strictEqual(await contentStorage.head(`${contentBusId}/live/old.md`), null);
+      const sitemap = (await contentStorage.load(`${contentBusId}/live/sitemap.xml`)).toString();
+      assert.ok(sitemap.includes('/homepage</loc>'));
+
+      res = await fsIndex({ ...params, action: 'audit' }, env);
+      const audit = JSON.parse(res.body).entries.map(({ action, path: p, user }) => `${action} ${p} ${user}`);
+      assert.deepStrictEqual(audit.sort(), [
+        'publish /homepage.md alice',
+        'publish /missing.md alice',
+        'unpublish /old.md alice',
+      ]);
+
+      res = await fsIndex({ ...params, action: 'process-schedule' }, env);
+      assert.deepStrictEqual(JSON.parse(res.body), { results: [] });
+      assert.deepStrictEqual((await listSchedule()).map(({ path: p, status }) => `${p} ${status}`), [
+        '/homepage.md done',
+        '/old.md done',
+        '/missing.md failed',
+        '/later.md pending',
+      ]);
+    });
+  });
+
+  describe('Migrate', () => {
+    const params = {
+      owner: 'tripodsan',
+      repo: 'helix-test',
+      ref: 'main',
+      action: 'migrate',
+      oldMountpoint: 'https://adobe.sharepoint.com/sites/old',
+    };
+    // first 59 characters of the SHA-256 of the old mount point
+    const oldContentBusId = crypto.createHash('sha256').update(params.oldMountpoint).digest('hex').substring(0, 59);
+
+    beforeEach(async () => {
+      await contentStorage.storeData(`${oldContentBusId}/.hlx.json`, JSON.stringify({
+        mountpoint: params.oldMountpoint,
+        'original-repository': 'adobe/helix-test',
+        repositories: [{ owner: 'tripodsan', repo: 'helix-test', ref: 'main' }],
+      }), 'application/json');
+      await contentStorage.storeData(`${oldContentBusId}/preview/homepage.md`, '# Hello', 'text/markdown');
+      await contentStorage.storeData(`${oldContentBusId}/live/homepage.md`, '# Hello', 'text/markdown');
+    });
+
+    it('copies the content of the old mount point', async () => {
+      let res = await fsIndex({ ...params, dryRun: 'true' }, env);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(JSON.parse(res.body).copied, 2);
+      assert.strictEqual(await contentStorage.head(`${contentBusId}/live/homepage.md`), null);
+
+      res = await fsIndex(params, env);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(JSON.parse(res.body), {
+        from: { mountpoint: params.oldMountpoint, contentBusId: oldContentBusId },
+        to: { mountpoint: 'https://adobe.sharepoint.com/sites/cg-helix/Shared%20Documents', contentBusId },
+        dryRun: false,
+        total: 3,
+        copied: 2,
+        skipped: 1,
+        failed: [],
+      });
+      assert.strictEqual((await contentStorage.load(`${contentBusId}/live/homepage.md`)).toString(), '# Hello');
+      res = await fsIndex({ ...params, action: 'lookup' }, env);
+      assert.strictEqual(JSON.parse(res.body)['migrated-from'].contentBusId, oldContentBusId);
+    });
+
+    it('returns 400 or 404 if there is nothing to migrate', async () => {
+      let res = await fsIndex({ ...params, oldMountpoint: undefined }, env);
+      assert.strictEqual(res.statusCode, 400);
+      assert.strictEqual(res.headers['x-error'], 'oldMountpoint parameter is required');
+      const mountpoint = 'https://adobe.sharepoint.com/sites/cg-helix/Shared%20Documents';
+      res = await fsIndex({ ...params, oldMountpoint: mountpoint }, env);
+      assert.strictEqual(res.statusCode, 400);
+      assert.strictEqual(res.headers['x-error'], `mount point did not change: ${mountpoint}`);
+      res = await fsIndex({ ...params, oldMountpoint: 'https://adobe.sharepoint.com/sites/other' }, env);
+      assert.strictEqual(res.statusCode, 404);
+      assert.strictEqual(res.headers['x-error'], 'no content found for: https://adobe.sharepoint.com/sites/other');
+    });
+
+    it('returns 403 if the old mount point is not mounted by the repository', async () => {
+      await contentStorage.storeData(`${oldContentBusId}/.hlx.json`, JSON.stringify({
+        mountpoint: params.oldMountpoint,
+        'original-repository': 'adobe/helix-test',
+      }), 'application/json');
+      const res = await fsIndex(params, env);
+      assert.strictEqual(res.statusCode, 403);
+      assert.strictEqual(res.headers['x-error'], `tripodsan/helix-test is not allowed to migrate: ${params.oldMountpoint}`);
+      assert.strictEqual(await contentStorage.head(`${contentBusId}/live/homepage.md`), null);
+    });
+  });
+});
+
 describe.skip('Live Index Tests', () => {
   condit('Store theblog', condit.hasenvs(['AWS_S3_REGION', 'AWS_S3_ACCESS_KEY_ID', 'AWS_S3_SECRET_ACCESS_KEY']), async () => {
     const res = await index({
@@ -0,0 +1,71 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const { listDocuments } = require('../src/list.js');
+
+describe('List Tests', () => {
+  it('lists documents removed while listing', async () => {
+    const storage = {
+      listPage: async () => ({
+        objects: [{ key: 'id/live/gone.md', size: 4, lastModified: new Date(0) }],
+      }),
+      head: async () => null,
+    };
+    const result = await listDocuments({
+      storage,
+      contentBusId: 'id',
+      partition: 'live',
+      folder: '/',
+      limit: 10,
+      concurrency: 2,
+    });
+    assert.deepStrictEqual(result, {
+      entries: [{
+        path: '/gone.md',
+        size: 4,
+        lastModified: new Date(0),
+        contentType: undefined,
+        sourceLastModified: undefined,
+        deleted: false,
+      }],
+      next: undefined,
+    });
+  });
+
+  it('leaves out generated objects and flags tombstones', async () => {
+    const keys = ['query-index.json', 'sitemap.xml', 'sitemap-1.xml', 'old.md', 'blog/sitemap.xml'];
+    const storage = {
+      listPage: async () => ({
+        objects: keys.map((key) => ({ key: `id/live/${key}`, size: 0, lastModified: new Date(0) })),
+      }),
+      head: async () => ({ contentType: 'text/markdown', metadata: { 'x-deleted': 'true' } }),
+    };
+    const { entries } = await listDocuments({
+      storage,
+      contentBusId: 'id',
+      partition: 'live',
+      folder: '/',
+      limit: 10,
+      concurrency: 2,
+    });
+    assert.deepStrictEqual(entries.map(({ path, deleted }) => `${path} ${deleted}`), [
+      '/old.md true',
+      '/blog/sitemap.xml true',
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const { MAX_METADATA_SIZE, encodeMetadata, decodeMetadata } = require('../src/metadata.js');
+
+describe('Metadata Tests', () => {
+  const log = {
+    warnings: [],
+    warn(msg) {
+      this.warnings.push(msg);
+    },
+  };
+
+  beforeEach(() => {
+    log.warnings = [];
+  });
+
+  it('keeps plain ASCII values as is', async () => {
+    const meta = { 'x-source-location': 'https://adobe.sharepoint.com/a b', 'x-deleted': '' };
+    assert.deepStrictEqual(encodeMetadata(meta, 'live/path', log), meta);
+    assert.deepStrictEqual(decodeMetadata(meta), meta);
+  });
+
+  it('encodes values that are not plain ASCII reversibly', async () => {
+    const meta = {
+      title: 'Grüße',
+      emoji: '🎉',
+      multiline: 'a\nb',
+      word: '=?UTF-8?B?YQ==?=',
+      number: 42,
+    };
+    const encoded = encodeMetadata(meta, 'live/path', log);
+    assert.deepStrictEqual(encoded, {
+      title: '=?UTF-8?B?R3LDvMOfZQ==?=',
+      emoji: '=?UTF-8?B?8J+OiQ==?=',
+      multiline: '=?UTF-8?B?YQpi?=',
+      word: '=?UTF-8?B?PT9VVEYtOD9CP1lRPT0/PQ==?=',
+      number: '42',
+    });
+    assert.deepStrictEqual(decodeMetadata(encoded), { ...meta, number: '42' });
+  });
+
+  it('decodes values encoded by S3', async () => {
+    assert.deepStrictEqual(decodeMetadata({ title: '=?utf-8?b?S8O2bG4=?=' }), { title: 'Köln' });
+    assert.deepStrictEqual(decodeMetadata(), {});
+  });
+
+  it('drops the largest entries exceeding the size limit', async () => {
+    const meta = {
+      'x-source-location': 'x'.repeat(MAX_METADATA_SIZE),
+      'x-content-hash': 'a'.repeat(64),
+      title: 'ü'.repeat(800),
+      description: 'd'.repeat(800),
+    };
+    const encoded = encodeMetadata(meta, 'live/path', log);
+    assert.deepStrictEqual(Object.keys(encoded), ['x-content-hash', 'description']);
+    assert.deepStrictEqual(log.warnings, [
+      'Metadata x-source-location of live/path dropped: exceeds the size limit of 2048 bytes',
+      'Metadata title of live/path dropped: exceeds the size limit of 2048 bytes',
+    ]);
+  });
+});
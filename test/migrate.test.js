@@ -0,0 +1,267 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const { recordRepository } = require('../src/container-info.js');
+const { migrateContentBus } = require('../src/migrate.js');
+const { createTempStorage } = require('./utils.js');
+
+describe('Migrate Tests', () => {
+  const oldMountpoint = 'https://adobe.sharepoint.com/sites/old';
+  const newMountpoint = 'https://adobe.sharepoint.com/sites/new';
+  const repository = {
+    owner: 'adobe',
+    repo: 'theblog',
+    ref: 'main',
+    firstSeen: '2021-05-07T18:03:19.000Z',
+    lastSeen: '2021-05-07T18:03:19.000Z',
+  };
+
+  let tmp;
+  let storage;
+  let messages;
+
+  const log = {
+    info: (msg) => messages.push(msg),
+    warn: (msg) => messages.push(msg),
+  };
+
+  const migrate = async (dryRun, owner = 'adobe') => migrateContentBus({
+    storage,
+    oldContentBusId: 'old-id',
+    newContentBusId: 'new-id',
+    oldMountpoint,
+    newMountpoint,
+    owner,
+    repo: 'theblog',
+    dryRun,
+    concurrency: 2,
+    log,
+  });
+
+  const listKeys = async (prefix) => (await storage.list(prefix)).map(({ key }) => key).sort();
+
+  beforeEach(async () => {
+    tmp = await createTempStorage('migrate-test');
+    ({ storage } = tmp);
+    messages = [];
+    await storage.storeData('old-id/.hlx.json', JSON.stringify({
+      mountpoint: oldMountpoint,
+      'original-repository': 'adobe/theblog',
+      repositories: [repository],
+    }), 'application/json');
+    await storage.storeData('old-id/preview/index.md', '# Hello', 'text/markdown', {
+      'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT',
+    });
+    await storage.storeData('old-id/live/index.md', '# Hello', 'text/markdown');
+    await storage.storeData('old-id/live/query-index.json', JSON.stringify({
+      total: 1, offset: 0, limit: 1, data: [{ path: '/', title: 'Hello' }],
+    }), 'application/json');
+  });
+
+  afterEach(async () => {
+    await tmp.remove();
+  });
+
+  it('copies every object to the new content bus', async () => {
+    const summary = await migrate();
+    assert.deepStrictEqual(summary, {
+      dryRun: false, total: 4, copied: 3, skipped: 1, failed: [],
+    });
+    assert.deepStrictEqual(await listKeys('new-id/'), [
+      'new-id/.hlx.json',
+      'new-id/live/index.md',
+      'new-id/live/query-index.json',
+      'new-id/preview/index.md',
+    ]);
+    assert.deepStrictEqual(await storage.metadata('new-id/preview/index.md'), {
+      'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT',
+    });
+    assert.strictEqual((await listKeys('old-id/')).length, 4);
+
+    const info = JSON.parse(await storage.load('new-id/.hlx.json'));
+    assert.ok(Date.parse(info['migrated-from'].timestamp));
+    assert.deepStrictEqual(info, {
+      mountpoint: newMountpoint,
+      'original-repository': 'adobe/theblog',
+      repositories: [repository],
+      'migrated-from': {
+        mountpoint: oldMountpoint,
+        contentBusId: 'old-id',
+        timestamp: info['migrated-from'].timestamp,
+      },
+    });
+    assert.deepStrictEqual(await storage.metadata('new-id/.hlx.json'), {
+      mountpoint: newMountpoint,
+      'original-repository': 'adobe/theblog',
+    });
+    assert.notStrictEqual(await storage.load('new-id--adobe--theblog'), null);
+  });
+
+  it('does not copy the audit log, the schedule and the sitemap state', async () => {
+    await storage.storeData('old-id/.audit/2021-05-07/entry.json', '{}', 'application/json');
+    await storage.storeData('old-id/.schedule.json', '{}', 'application/json');
+    await storage.storeData('old-id/.sitemap.json', '{}', 'application/json');
+    assert.deepStrictEqual(await migrate(), {
+      dryRun: false, total: 7, copied: 3, skipped: 4, failed: [],
+    });
+    assert.deepStrictEqual(await listKeys('new-id/'), [
+      'new-id/.hlx.json',
+      'new-id/live/index.md',
+      'new-id/live/query-index.json',
+      'new-id/preview/index.md',
+    ]);
+  });
+
+  it('only reports what would be copied in a dry run', async () => {
+    const summary = await migrate(true);
+    assert.deepStrictEqual(summary, {
+      dryRun: true, total: 4, copied: 3, skipped: 1, failed: [],
+    });
+    assert.deepStrictEqual(await listKeys('new-id'), []);
+    assert.match(messages[messages.length - 1], /^Dry run of migrating old-id to new-id: 3 copied/);
+  });
+
+  it('skips objects already in the new content bus', async () => {
+    await storage.storeData('new-id/live/index.md', '# Newer', 'text/markdown');
+    await storage.storeData('new-id/.hlx.json', JSON.stringify({
+      mountpoint: newMountpoint,
+      'original-repository': 'tripodsan/theblog',
+      repositories: [{ ...repository, owner: 'tripodsan' }, repository],
+    }), 'application/json');
+    assert.deepStrictEqual(await migrate(), {
+      dryRun: false, total: 4, copied: 2, skipped: 2, failed: [],
+    });
+    assert.strictEqual((await storage.load('new-id/live/index.md')).toString(), '# Newer');
+    const info = JSON.parse(await storage.load('new-id/.hlx.json'));
+    assert.strictEqual(info['original-repository'], 'tripodsan/theblog');
+    assert.deepStrictEqual(info.repositories.map(({ owner }) => owner), ['tripodsan', 'adobe']);
+  });
+
+  it('keeps the repositories recorded while the container info is merged', async () => {
+    // a repository mounting the new content bus records itself right before the write
+    const { storeDataIfMatch } = storage;
+    storage.storeDataIfMatch = async (...args) => {
+      if (args[0] !== 'new-id/.hlx.json') {
+        return storeDataIfMatch.apply(storage, args);
+      }
+      storage.storeDataIfMatch = storeDataIfMatch;
+      await recordRepository({
+        storage,
+        contentBusId: 'new-id',
+        mountpoint: newMountpoint,
+        owner: 'tripodsan',
+        repo: 'theblog',
+        ref: 'main',
+        log,
+      });
+      return storeDataIfMatch.apply(storage, args);
+    };
+    await migrate();
+    const info = JSON.parse(await storage.load('new-id/.hlx.json'));
+    assert.strictEqual(info['original-repository'], 'tripodsan/theblog');
+    assert.deepStrictEqual(info.repositories.map(({ owner }) => owner), ['tripodsan', 'adobe']);
+    assert.deepStrictEqual(await storage.metadata('new-id/.hlx.json'), {
+      mountpoint: newMountpoint,
+      'original-repository': 'tripodsan/theblog',
+    });
+  });
+
+  it('only lets repositories mounting the old content bus migrate it', async () => {
+    await assert.rejects(migrate(false, 'tripodsan'), {
+      status: 403,
+      message: `tripodsan/theblog is not allowed to migrate: ${oldMountpoint}`,
+    });
+
+    // the original repository doesn't need to be recorded as repository
+    await storage.storeData('old-id/.hlx.json', JSON.stringify({
+      mountpoint: oldMountpoint,
+      'original-repository': 'tripodsan/theblog',
+    }), 'application/json');
+    await migrate(false, 'tripodsan');
+    const info = JSON.parse(await storage.load('new-id/.hlx.json'));
+    assert.strictEqual(info['original-repository'], 'tripodsan/theblog');
+    assert.deepStrictEqual(info.repositories, []);
+    assert.notStrictEqual(await storage.load('new-id--tripodsan--theblog'), null);
+
+    await storage.remove('old-id/.hlx.json');
+    await assert.rejects(migrate(true), { status: 403 });
+  });
+
+  it('reports objects that could not be copied', async () => {
+    const { copy } = storage;
+    storage.copy = async (src, dest) => {
+      if (src.endsWith('.md')) {
+        throw new Error(`unable to copy ${src}`);
+      }
+      return copy.call(storage, src, dest);
+    };
+    const { failed } = await migrate();
+    assert.deepStrictEqual(failed, [
+      { key: 'old-id/live/index.md', error: 'unable to copy old-id/live/index.md' },
+      { key: 'old-id/preview/index.md', error: 'unable to copy old-id/preview/index.md' },
+    ]);
+  });
+
+  it('merges the query indexes into the ones of the new content bus', async () => {
+    await storage.storeData('new-id/live/query-index.json', JSON.stringify({
+      total: 2,
+      offset: 0,
+      limit: 2,
+      data: [{ path: '/', title: 'Newer' }, { path: '/new', title: 'New' }],
+    }), 'application/json');
+    assert.deepStrictEqual(await migrate(), {
+      dryRun: false, total: 4, copied: 3, skipped: 1, failed: [],
+    });
+    assert.deepStrictEqual(JSON.parse(await storage.load('new-id/live/query-index.json')), {
+      total: 2,
+      offset: 0,
+      limit: 2,
+      data: [{ path: '/', title: 'Newer' }, { path: '/new', title: 'New' }],
+    });
+
+    await storage.storeData('old-id/preview/query-index.json', JSON.stringify({
+      total: 1, offset: 0, limit: 1, data: [{ path: '/old', title: 'Old' }],
+    }), 'application/json');
+    await storage.storeData('old-id/live/query-index.json', JSON.stringify({
+      total: 1, offset: 0, limit: 1, data: [{ path: '/old', title: 'Old' }],
+    }), 'application/json');
+    await migrate();
+    assert.deepStrictEqual(JSON.parse(await storage.load('new-id/live/query-index.json')).data, [
+      { path: '/', title: 'Newer' },
+      { path: '/new', title: 'New' },
+      { path: '/old', title: 'Old' },
+    ]);
+    assert.deepStrictEqual(JSON.parse(await storage.load('new-id/preview/query-index.json')).data, [
+      { path: '/old', title: 'Old' },
+    ]);
+  });
+
+  it('logs the progress of big migrations', async () => {
+    for (let i = 0; i < 100; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await storage.storeData(`old-id/live/page-${i}.md`, '', 'text/markdown');
+    }
+    await migrate(true);
+    assert.ok(messages.includes('Migrating old-id: 100/104 objects processed'));
+  });
+
+  it('returns null if there is nothing to migrate', async () => {
+    await Promise.all((await listKeys('old-id/')).map((key) => storage.remove(key)));
+    assert.strictEqual(await migrate(), null);
+  });
+});
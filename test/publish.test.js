@@ -0,0 +1,71 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const { publishFolder } = require('../src/publish.js');
+
+describe('Publish Tests', () => {
+  it('publishes a folder, skipping recent and reporting failed copies', async () => {
+    const objects = {
+      'id/preview/blog/': [
+        { key: 'id/preview/blog/a.md', lastModified: new Date(2000) },
+        { key: 'id/preview/blog/b.md', lastModified: new Date(2000) },
+        { key: 'id/preview/blog/c.md', lastModified: new Date(2000) },
+        { key: 'id/preview/blog/d.md', lastModified: new Date(2000) },
+        { key: 'id/preview/blog/e.md', lastModified: new Date(2000) },
+        { key: 'id/preview/blog/f.md', lastModified: new Date(2000) },
+      ],
+      'id/live/blog/': [
+        { key: 'id/live/blog/a.md', lastModified: new Date(1000) },
+        { key: 'id/live/blog/b.md', lastModified: new Date(3000) },
+      ],
+    };
+    const copied = [];
+    const storage = {
+      list: async (prefix) => objects[prefix],
+      metadata: async (key) => {
+        if (key === 'id/preview/blog/f.md') {
+          return { 'x-deleted': 'Fri, 07 May 2021 18:03:19 GMT' };
+        }
+        return key.startsWith('id/preview/') ? {} : null;
+      },
+      copy: async (src, dest) => {
+        if (src.endsWith('d.md') || src.endsWith('e.md')) {
+          throw new Error('access denied');
+        }
+        copied.push(dest);
+      },
+    };
+    const summary = await publishFolder({
+      storage,
+      contentBusId: 'id',
+      folder: '/blog/',
+      concurrency: 2,
+      publisher: 'editor@example.com',
+      log: console,
+    });
+    assert.deepStrictEqual(summary, {
+      copied: ['id/preview/blog/a.md', 'id/preview/blog/c.md'],
+      skipped: ['id/preview/blog/b.md', 'id/preview/blog/f.md'],
+      failed: [
+        { key: 'id/preview/blog/d.md', error: 'access denied' },
+        { key: 'id/preview/blog/e.md', error: 'access denied' },
+      ],
+    });
+    assert.deepStrictEqual(copied.sort(), ['id/live/blog/a.md', 'id/live/blog/c.md']);
+  });
+});
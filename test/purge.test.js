@@ -0,0 +1,107 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const nock = require('nock');
+
+const { getDocumentURL, purge } = require('../src/purge.js');
+const { createReceiver } = require('./utils.js');
+
+describe('Purge Tests', () => {
+  const opts = {
+    owner: 'owner',
+    repo: 'repo',
+    ref: 'main',
+    contentBusId: 'foo-id',
+    partition: 'live',
+    paths: ['/index.md', '/blog/post.md'],
+    retry: { delay: 0 },
+    log: console,
+  };
+
+  let server;
+
+  afterEach(async () => {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  it('returns the URL of a document', () => {
+    assert.strictEqual(getDocumentURL(opts, '/index.md'), 'https://main--repo--owner.hlx.live/');
+    assert.strictEqual(getDocumentURL(opts, '/blog/index.md'), 'https://main--repo--owner.hlx.live/blog/');
+    assert.strictEqual(getDocumentURL({ ...opts, partition: 'preview' }, '/blog/post.md'), 'https://main--repo--owner.hlx.page/blog/post');
+    assert.strictEqual(getDocumentURL(opts, '/data.json'), 'https://main--repo--owner.hlx.live/data.json');
+  });
+
+  it('purges by surrogate key', async () => {
+    server = await createReceiver();
+    const outcome = await purge({ ...opts, url: server.url, token: 'secret' });
+    assert.deepStrictEqual(outcome, { status: 'ok', attempts: 1 });
+    assert.strictEqual(server.requests.length, 1);
+    const [{ headers, body }] = server.requests;
+    assert.strictEqual(headers.authorization, 'Bearer secret');
+    assert.strictEqual(headers['content-type'], 'application/json');
+    assert.deepStrictEqual(body, {
+      type: 'surrogate-key',
+      keys: ['foo-id/live/index.md', 'foo-id/live/blog/post.md'],
+    });
+  });
+
+  it('purges by URL', async () => {
+    server = await createReceiver();
+    const outcome = await purge({ ...opts, url: server.url, type: 'url' });
+    assert.deepStrictEqual(outcome, { status: 'ok', attempts: 1 });
+    const [{ headers, body }] = server.requests;
+    assert.strictEqual(headers.authorization, undefined);
+    assert.deepStrictEqual(body, {
+      type: 'url',
+      urls: ['https://main--repo--owner.hlx.live/', 'https://main--repo--owner.hlx.live/blog/post'],
+    });
+  });
+
+  it('retries throttled and failed purges', async () => {
+    server = await createReceiver([429, 503, 200]);
+    const outcome = await purge({ ...opts, url: server.url, retry: { attempts: 3, delay: 0 } });
+    assert.deepStrictEqual(outcome, { status: 'ok', attempts: 3 });
+    assert.strictEqual(server.requests.length, 3);
+  });
+
+  it('gives up after the maximum number of attempts', async () => {
+    server = await createReceiver([502]);
+    const outcome = await purge({ ...opts, url: server.url, retry: { attempts: 2, delay: 0 } });
+    assert.deepStrictEqual(outcome, { status: 'failed', attempts: 2, error: 'status 502' });
+    assert.strictEqual(server.requests.length, 2);
+  });
+
+  it('does not retry rejected purges', async () => {
+    server = await createReceiver([400]);
+    const outcome = await purge({ ...opts, url: server.url });
+    assert.deepStrictEqual(outcome, { status: 'failed', attempts: 1, error: 'status 400' });
+  });
+
+  it('retries network errors', async () => {
+    nock('http://purge.example.com')
+      .post('/purge')
+      .replyWithError({ code: 'ECONNRESET', message: 'socket hang up' })
+      .post('/purge')
+      .reply(200);
+    const outcome = await purge({ ...opts, url: 'http://purge.example.com/purge' });
+    assert.deepStrictEqual(outcome, { status: 'ok', attempts: 2 });
+    assert.ok(nock.isDone());
+  });
+});
@@ -0,0 +1,179 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const {
+  DEFAULT_INDEX_FIELDS, parseIndexFields, extractProperties, updateQueryIndex,
+} = require('../src/query-index.js');
+const { createTempStorage } = require('./utils.js');
+
+const BLOG_POST = `
+# Fish & Chips #
+
+![Fish](/media_123.png?width=1200 "Fish")
+
+A short story about fish and chips.
+
+And a second paragraph.
+
+| Columns | |
+| --- | --- |
+| a | b |
+
+| Metadata | |
+| --- | --- |
+| Description | The best fish in town. |
+| Publication Date | 2021-05-07 |
+|  | ignored |
+| Tags |
+`;
+
+describe('Query Index Tests', () => {
+  describe('Fields', () => {
+    it('uses the default fields unless configured', () => {
+      assert.deepStrictEqual(parseIndexFields(undefined, 'owner', 'repo'), DEFAULT_INDEX_FIELDS);
+      assert.deepStrictEqual(parseIndexFields('', 'owner', 'repo'), DEFAULT_INDEX_FIELDS);
+    });
+
+    it('parses a list of fields for every site', () => {
+      assert.deepStrictEqual(parseIndexFields(' title, ,path,tags ', 'owner', 'repo'), ['title', 'tags']);
+    });
+
+    it('parses the fields of every site', () => {
+      const value = JSON.stringify({ 'adobe/theblog': 'title,author', '*': 'title' });
+      assert.deepStrictEqual(parseIndexFields(value, 'adobe', 'theblog'), ['title', 'author']);
+      assert.deepStrictEqual(parseIndexFields(value, 'adobe', 'helix-home'), ['title']);
+      assert.deepStrictEqual(parseIndexFields('{}', 'adobe', 'helix-home'), DEFAULT_INDEX_FIELDS);
+    });
+
+    it('rejects invalid configurations', () => {
+      assert.throws(() => parseIndexFields('{ title', 'owner', 'repo'), (e) => e.status === 500
+        && /^QUERY_INDEX_FIELDS is not valid JSON/.test(e.message));
+    });
+  });
+
+  describe('Properties', () => {
+    it('extracts the properties of a document', () => {
+      assert.deepStrictEqual(extractProperties(BLOG_POST), {
+        title: 'Fish & Chips',
+        image: '/media_123.png?width=1200',
+        description: 'The best fish in town.',
+        'publication-date': '2021-05-07',
+        tags: '',
+      });
+    });
+
+    it('extracts the first paragraph if there is no metadata', () => {
+      assert.deepStrictEqual(extractProperties('Intro\r\n\r\n## Title\r\n\r\n# Other'), {
+        title: 'Title',
+        description: 'Intro',
+      });
+      assert.deepStrictEqual(extractProperties(''), {});
+    });
+  });
+
+  describe('Index', () => {
+    let tmp;
+    let storage;
+
+    const update = async (paths, fields) => updateQueryIndex({
+      storage,
+      contentBusId: 'foo-id',
+      partition: 'live',
+      paths,
+      fields,
+      concurrency: 2,
+      log: console,
+    });
+
+    const load = async () => JSON.parse(await storage.load('foo-id/live/query-index.json'));
+
+    beforeEach(async () => {
+      tmp = await createTempStorage('query-index-test');
+      ({ storage } = tmp);
+      await storage.storeData('foo-id/live/blog/fish.md', BLOG_POST, 'text/markdown', {
+        'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT',
+      });
+      await storage.storeData('foo-id/live/index.md', '# Home', 'text/markdown');
+    });
+
+    afterEach(async () => {
+      await tmp.remove();
+    });
+
+    it('adds documents to the index', async () => {
+      assert.deepStrictEqual(await update(['/index.md', '/blog/fish.md', '/media/image.png']), {
+        updated: 2,
+        removed: 0,
+      });
+      assert.deepStrictEqual(await load(), {
+        total: 2,
+        offset: 0,
+        limit: 2,
+        data: [{
+          path: '/',
+          title: 'Home',
+          description: '',
+          image: '',
+          lastModified: '',
+        }, {
+          path: '/blog/fish',
+          title: 'Fish & Chips',
+          description: 'The best fish in town.',
+          image: '/media_123.png?width=1200',
+          lastModified: 1620410599,
+        }],
+      });
+    });
+
+    it('updates and removes entries of changed documents', async () => {
+      await update(['/index.md', '/blog/fish.md'], ['title', 'publication-date']);
+      await storage.storeData('foo-id/live/index.md', '# Welcome', 'text/markdown');
+      await storage.storeData('foo-id/live/blog/fish.md', '', 'text/plain', {
+        'x-deleted': 'Sat, 08 May 2021 10:00:00 GMT',
+      });
+      assert.deepStrictEqual(await update(['/index.md', '/blog/fish.md', '/missing.md'], ['title', 'publication-date']), {
+        updated: 1,
+        removed: 1,
+      });
+      assert.deepStrictEqual((await load()).data, [
+        { path: '/', title: 'Welcome', 'publication-date': '' },
+      ]);
+
+      await storage.remove('foo-id/live/index.md');
+      assert.deepStrictEqual(await update(['/index.md']), { updated: 0, removed: 1 });
+      assert.deepStrictEqual(await load(), {
+        total: 0, offset: 0, limit: 0, data: [],
+      });
+    });
+
+    it('keeps the entries of concurrent updates', async () => {
+      await update(['/index.md']);
+      // another invocation adds an entry right before the index is written
+      const { storeDataIfMatch } = storage;
+      storage.storeDataIfMatch = async (...args) => {
+        storage.storeDataIfMatch = storeDataIfMatch;
+        const index = await load();
+        index.data.push({ path: '/other' });
+        await storage.storeData('foo-id/live/query-index.json', JSON.stringify(index), 'application/json');
+        return storeDataIfMatch.apply(storage, args);
+      };
+      assert.deepStrictEqual(await update(['/blog/fish.md']), { updated: 1, removed: 0 });
+      assert.deepStrictEqual((await load()).data.map(({ path: p }) => p), ['/', '/blog/fish', '/other']);
+    });
+  });
+});
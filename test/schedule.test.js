@@ -0,0 +1,211 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const {
+  addScheduleEntry, listSchedule, cancelScheduleEntry, processSchedule,
+} = require('../src/schedule.js');
+const { createTempStorage } = require('./utils.js');
+
+describe('Schedule Tests', () => {
+  let tmp;
+  let storage;
+
+  const add = async (p, at, action = 'publish') => addScheduleEntry(storage, 'foo-id', {
+    action,
+    path: p,
+    at: new Date(at),
+    user: 'alice',
+  });
+
+  const list = async (p = '/') => {
+    const { entries } = await listSchedule({ storage, contentBusId: 'foo-id', path: p });
+    return entries.map(({
+      action, path: entryPath, at, status,
+    }) => `${at} ${action} ${entryPath} ${status}`);
+  };
+
+  const processDue = async (now, perform) => processSchedule({
+    storage,
+    contentBusId: 'foo-id',
+    now: new Date(now),
+    concurrency: 2,
+    perform,
+  });
+
+  beforeEach(async () => {
+    tmp = await createTempStorage('schedule-test');
+    ({ storage } = tmp);
+  });
+
+  afterEach(async () => {
+    await tmp.remove();
+  });
+
+  it('adds pending entries', async () => {
+    const entry = await add('/index.md', '2021-05-08T09:00:00.000Z');
+    assert.match(entry.id, /^[0-9a-f]{16}$/);
+    assert.deepStrictEqual(entry, {
+      id: entry.id,
+      action: 'publish',
+      path: '/index.md',
+      at: '2021-05-08T09:00:00.000Z',
+      user: 'alice',
+      status: 'pending',
+      created: entry.created,
+      updated: entry.created,
+    });
+    const schedule = JSON.parse(await storage.load('foo-id/.schedule.json'));
+    assert.deepStrictEqual(schedule, { entries: [entry] });
+  });
+
+  it('lists entries by path, in the order they are due', async () => {
+    assert.deepStrictEqual(await list(), []);
+    await add('/blog/a.md', '2021-05-09T09:00:00.000Z', 'unpublish');
+    await add('/index.md', '2021-05-08T09:00:00.000Z');
+    await add('/blog/a.md', '2021-05-08T12:00:00.000Z');
+    assert.deepStrictEqual(await list(), [
+      '2021-05-08T09:00:00.000Z publish /index.md pending',
+      '2021-05-08T12:00:00.000Z publish /blog/a.md pending',
+      '2021-05-09T09:00:00.000Z unpublish /blog/a.md pending',
+    ]);
+    assert.deepStrictEqual(await list('/blog/'), [
+      '2021-05-08T12:00:00.000Z publish /blog/a.md pending',
+      '2021-05-09T09:00:00.000Z unpublish /blog/a.md pending',
+    ]);
+    assert.deepStrictEqual(await list('/index.md'), [
+      '2021-05-08T09:00:00.000Z publish /index.md pending',
+    ]);
+    assert.deepStrictEqual(await list('/blog'), []);
+  });
+
+  it('cancels pending entries', async () => {
+    const { id } = await add('/index.md', '2021-05-08T09:00:00.000Z');
+    const entry = await cancelScheduleEntry(storage, 'foo-id', id);
+    assert.strictEqual(entry.status, 'cancelled');
+    assert.deepStrictEqual(await list(), ['2021-05-08T09:00:00.000Z publish /index.md cancelled']);
+    assert.strictEqual(await cancelScheduleEntry(storage, 'foo-id', id), null);
+    assert.strictEqual(await cancelScheduleEntry(storage, 'foo-id', 'unknown'), null);
+  });
+
+  it('performs the entries that are due', async () => {
+    await add('/index.md', '2021-05-08T09:00:00.000Z');
+    await add('/missing.md', '2021-05-08T10:00:00.000Z');
+    await add('/blog/a.md', '2021-05-09T09:00:00.000Z', 'unpublish');
+    const { id } = await add('/cancelled.md', '2021-05-08T09:00:00.000Z');
+    await cancelScheduleEntry(storage, 'foo-id', id);
+
+    const performed = [];
+    const processed = await processDue('2021-05-08T12:00:00.000Z', async (entry) => {
+      performed.push(entry.path);
+      if (entry.path === '/missing.md') {
+        return { status: 404, error: 'not found' };
+      }
+      // entries scheduled in the meantime are kept
+      await add('/new.md', '2021-05-10T09:00:00.000Z');
+      return { status: 200, error: null };
+    });
+    assert.deepStrictEqual(performed.sort(), ['/index.md', '/missing.md']);
+    const outcomes = processed.map(({ path: p, status, result }) => ({ path: p, status, result }));
+    assert.deepStrictEqual(outcomes, [
+      { path: '/index.md', status: 'done', result: { status: 200 } },
+      { path: '/missing.md', status: 'failed', result: { status: 404, error: 'not found' } },
+    ]);
+    assert.deepStrictEqual(await list(), [
+      '2021-05-08T09:00:00.000Z publish /index.md done',
+      '2021-05-08T09:00:00.000Z publish /cancelled.md cancelled',
+      '2021-05-08T10:00:00.000Z publish /missing.md failed',
+      '2021-05-09T09:00:00.000Z unpublish /blog/a.md pending',
+      '2021-05-10T09:00:00.000Z publish /new.md pending',
+    ]);
+
+    assert.deepStrictEqual(await processDue('2021-05-08T12:00:00.000Z', () => assert.fail('nothing is due')), []);
+  });
+
+  it('does not perform entries claimed by an overlapping run', async () => {
+    await add('/index.md', '2021-05-08T09:00:00.000Z');
+    await add('/blog/a.md', '2021-05-08T10:00:00.000Z');
+
+    const performed = [];
+    let overlapping;
+    const processed = await processDue('2021-05-08T12:00:00.000Z', async (entry) => {
+      performed.push(entry.path);
+      if (!overlapping) {
+        overlapping = processDue('2021-05-08T12:00:00.000Z', async (e) => {
+          performed.push(e.path);
+          return { status: 200 };
+        });
+        await overlapping;
+      }
+      return { status: 200 };
+    });
+    assert.deepStrictEqual(await overlapping, []);
+    assert.deepStrictEqual(performed.sort(), ['/blog/a.md', '/index.md']);
+    assert.strictEqual(processed.length, 2);
+    assert.deepStrictEqual(await list(), [
+      '2021-05-08T09:00:00.000Z publish /index.md done',
+      '2021-05-08T10:00:00.000Z publish /blog/a.md done',
+    ]);
+  });
+
+  it('does not cancel running entries', async () => {
+    const { id } = await add('/index.md', '2021-05-08T09:00:00.000Z');
+    let cancelled;
+    await processDue('2021-05-08T12:00:00.000Z', async () => {
+      assert.deepStrictEqual(await list(), ['2021-05-08T09:00:00.000Z publish /index.md running']);
+      cancelled = await cancelScheduleEntry(storage, 'foo-id', id);
+      return { status: 200 };
+    });
+    assert.strictEqual(cancelled, null);
+    assert.deepStrictEqual(await list(), ['2021-05-08T09:00:00.000Z publish /index.md done']);
+  });
+
+  it('performs running entries again once abandoned', async () => {
+    const entry = await add('/index.md', '2021-05-08T09:00:00.000Z');
+    await storage.storeData('foo-id/.schedule.json', JSON.stringify({
+      entries: [
+        { ...entry, status: 'running', updated: new Date(Date.now() - 60000).toISOString() },
+        {
+          ...entry, id: 'abandoned', path: '/abandoned.md', status: 'running', updated: '2021-05-08T12:00:00.000Z',
+        },
+      ],
+    }), 'application/json');
+    const processed = await processDue(new Date(), async () => ({ status: 200 }));
+    assert.deepStrictEqual(processed.map(({ id, status }) => `${id} ${status}`), ['abandoned done']);
+    assert.deepStrictEqual(await list(), [
+      '2021-05-08T09:00:00.000Z publish /index.md running',
+      '2021-05-08T09:00:00.000Z publish /abandoned.md done',
+    ]);
+  });
+
+  it('drops entries finished longer than 30 days ago', async () => {
+    const entry = await add('/index.md', '2021-05-08T09:00:00.000Z');
+    await storage.storeData('foo-id/.schedule.json', JSON.stringify({
+      entries: [
+        entry,
+        {
+          ...entry, id: 'old', status: 'done', updated: '2021-05-08T09:00:00.000Z',
+        },
+        { ...entry, id: 'recent', status: 'cancelled' },
+      ],
+    }), 'application/json');
+    await add('/blog/a.md', '2021-05-08T10:00:00.000Z');
+    const { entries } = await listSchedule({ storage, contentBusId: 'foo-id', path: '/' });
+    assert.deepStrictEqual(entries.map(({ id }) => id).slice(0, 2), [entry.id, 'recent']);
+    assert.strictEqual(entries.length, 3);
+  });
+});
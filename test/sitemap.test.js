@@ -0,0 +1,241 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const { parseExcludes, updateSitemap } = require('../src/sitemap.js');
+const { createTempStorage } = require('./utils.js');
+
+describe('Sitemap Tests', () => {
+  let tmp;
+  let storage;
+
+  const update = async (opts = {}) => updateSitemap({
+    storage,
+    contentBusId: 'foo-id',
+    host: 'https://www.example.com',
+    concurrency: 2,
+    paths: [],
+    log: console,
+    ...opts,
+  });
+
+  const load = async (name) => (await storage.load(`foo-id/live/${name}`)).toString();
+
+  const locs = async () => (await load('sitemap.xml')).match(/<loc>[^<]*<\/loc>/g);
+
+  beforeEach(async () => {
+    tmp = await createTempStorage('sitemap-test');
+    ({ storage } = tmp);
+    await Promise.all([
+      ['index.md', { 'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT' }],
+      ['blog/index.md', { 'x-source-last-modified': 'Sat, 08 May 2021 10:00:00 GMT' }],
+      ['blog/fish & chips.md', {}],
+      ['drafts/secret.md', {}],
+      ['old.md', { 'x-deleted': 'true' }],
+      ['media/image.png', {}],
+    ].map(([key, meta]) => storage.storeData(`foo-id/live/${key}`, Buffer.from('# Hello'), 'text/plain', meta)));
+    await storage.storeData('foo-id/preview/draft.md', Buffer.from('# Hello'), 'text/plain');
+  });
+
+  afterEach(async () => {
+    await tmp.remove();
+  });
+
+  it('parses a list of excluded paths', () => {
+    assert.deepStrictEqual(parseExcludes(), []);
+    const excludes = parseExcludes(' /drafts/*, ,/a.b,');
+    assert.strictEqual(excludes.length, 2);
+    assert.ok(excludes[0].test('/drafts/'));
+    assert.ok(excludes[0].test('/drafts/secret'));
+    assert.ok(!excludes[0].test('/blog/drafts/secret'));
+    assert.ok(excludes[1].test('/a.b'));
+    assert.ok(!excludes[1].test('/axb'));
+  });
+
+  it('lists the live documents in the sitemap', async () => {
+    const result = await update({ excludes: parseExcludes('/drafts/*') });
+    assert.deepStrictEqual(result, { urls: 3, sitemaps: 1 });
+    assert.strictEqual(await load('sitemap.xml'), [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      '  <url>',
+      '    <loc>https://www.example.com/</loc>',
+      '    <lastmod>2021-05-07T18:03:19.000Z</lastmod>',
+      '  </url>',
+      '  <url>',
+      '    <loc>https://www.example.com/blog/</loc>',
+      '    <lastmod>2021-05-08T10:00:00.000Z</lastmod>',
+      '  </url>',
+      '  <url>',
+      '    <loc>https://www.example.com/blog/fish &amp; chips</loc>',
+      '  </url>',
+      '</urlset>',
+      '',
+    ].join('\n'));
+    assert.strictEqual((await storage.head('foo-id/live/sitemap.xml')).contentType, 'application/xml');
+
+    // excluded documents are kept in the state
+    const state = JSON.parse(await storage.load('foo-id/.sitemap.json'));
+    assert.deepStrictEqual(state, {
+      host: 'https://www.example.com',
+      version: 1,
+      urls: {
+        '/': '2021-05-07T18:03:19.000Z',
+        '/blog/': '2021-05-08T10:00:00.000Z',
+        '/blog/fish & chips': null,
+        '/drafts/secret': null,
+      },
+      sitemaps: 0,
+    });
+  });
+
+  it('updates the sitemap for the documents that changed', async () => {
+    await update();
+    await storage.remove('foo-id/live/index.md');
+    await storage.storeData('foo-id/live/blog/index.md', Buffer.from('# Hello'), 'text/plain', { 'x-deleted': 'true' });
+    await storage.storeData('foo-id/live/new.md', Buffer.from('# Hello'), 'text/plain', {
+      'x-source-last-modified': 'Mon, 10 May 2021 10:00:00 GMT',
+    });
+    await storage.storeData('foo-id/live/unchanged.md', Buffer.from('# Hello'), 'text/plain');
+
+    // the live partition is only listed if there is no state yet
+    storage.list = () => assert.fail('not listed');
+    const result = await update({ paths: ['/index.md', '/blog/index.md', '/new.md', '/media/image.png'] });
+    assert.deepStrictEqual(result, { urls: 3, sitemaps: 1 });
+    assert.deepStrictEqual(await locs(), [
+      '<loc>https://www.example.com/blog/fish &amp; chips</loc>',
+      '<loc>https://www.example.com/drafts/secret</loc>',
+      '<loc>https://www.example.com/new</loc>',
+    ]);
+    assert.ok((await load('sitemap.xml')).includes('<lastmod>2021-05-10T10:00:00.000Z</lastmod>'));
+  });
+
+  it('keeps the host of the sitemap', async () => {
+    await update({ host: undefined, defaultHost: 'https://main--foo--bar.hlx.live' });
+    await update({ host: undefined, defaultHost: 'https://other--foo--bar.hlx.live', paths: ['/index.md'] });
+    assert.deepStrictEqual(await locs(), [
+      '<loc>https://main--foo--bar.hlx.live/</loc>',
+      '<loc>https://main--foo--bar.hlx.live/blog/</loc>',
+      '<loc>https://main--foo--bar.hlx.live/blog/fish &amp; chips</loc>',
+      '<loc>https://main--foo--bar.hlx.live/drafts/secret</loc>',
+    ]);
+    await update({ defaultHost: 'https://other--foo--bar.hlx.live' });
+    assert.strictEqual((await locs())[0], '<loc>https://www.example.com/</loc>');
+    await update({ host: undefined, defaultHost: 'https://other--foo--bar.hlx.live' });
+    assert.strictEqual((await locs())[0], '<loc>https://www.example.com/</loc>');
+  });
+
+  it('skips documents removed while the sitemap is created', async () => {
+    const { metadata } = storage;
+    storage.metadata = async (key) => (key.endsWith('/index.md') ? null : metadata.call(storage, key));
+    assert.deepStrictEqual(await update(), { urls: 2, sitemaps: 1 });
+  });
+
+  it('keeps the documents of concurrent updates', async () => {
+    await update();
+    // another invocation adds a document right before the state is written
+    const { storeDataIfMatch } = storage;
+    storage.storeDataIfMatch = async (...args) => {
+      storage.storeDataIfMatch = storeDataIfMatch;
+      const state = JSON.parse(await storage.load('foo-id/.sitemap.json'));
+      state.urls['/other'] = null;
+      await storage.storeData('foo-id/.sitemap.json', JSON.stringify(state), 'application/json');
+      return storeDataIfMatch.apply(storage, args);
+    };
+    await storage.remove('foo-id/live/index.md');
+    assert.deepStrictEqual(await update({ paths: ['/index.md'] }), { urls: 4, sitemaps: 1 });
+    assert.deepStrictEqual(await locs(), [
+      '<loc>https://www.example.com/blog/</loc>',
+      '<loc>https://www.example.com/blog/fish &amp; chips</loc>',
+      '<loc>https://www.example.com/drafts/secret</loc>',
+      '<loc>https://www.example.com/other</loc>',
+    ]);
+  });
+
+  it('writes the sitemap again if it was written by a concurrent update first', async () => {
+    await update();
+    // another invocation removes a document and writes its sitemap before this one
+    const { storeData } = storage;
+    storage.storeData = async (key, ...args) => {
+      if (key.endsWith('/sitemap.xml')) {
+        storage.storeData = storeData;
+        await storage.remove('foo-id/live/blog/index.md');
+        await update({ paths: ['/blog/index.md'] });
+      }
+      return storeData.call(storage, key, ...args);
+    };
+    await storage.storeData('foo-id/live/new.md', Buffer.from('# Hello'), 'text/plain');
+    assert.deepStrictEqual(await update({ paths: ['/new.md'] }), { urls: 4, sitemaps: 1 });
+    assert.deepStrictEqual(await locs(), [
+      '<loc>https://www.example.com/</loc>',
+      '<loc>https://www.example.com/blog/fish &amp; chips</loc>',
+      '<loc>https://www.example.com/drafts/secret</loc>',
+      '<loc>https://www.example.com/new</loc>',
+    ]);
+  });
+
+  it('ignores parts already removed by a concurrent update', async () => {
+    await update({ maxURLs: 1 });
+    await storage.remove('foo-id/live/sitemap-4.xml');
+    assert.deepStrictEqual(await update(), { urls: 4, sitemaps: 1 });
+    assert.ok(!await storage.head('foo-id/live/sitemap-3.xml'));
+  });
+
+  it('fails if a part cannot be removed', async () => {
+    await update({ maxURLs: 1 });
+    storage.remove = async () => {
+      const e = new Error('kaputt');
+      e.status = 500;
+      throw e;
+    };
+    await assert.rejects(update(), /kaputt/);
+  });
+
+  it('splits big sitemaps and removes parts no longer needed', async () => {
+    assert.deepStrictEqual(await update({ maxURLs: 1 }), { urls: 4, sitemaps: 4 });
+    assert.strictEqual(await load('sitemap.xml'), [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...[1, 2, 3, 4].flatMap((i) => ['  <sitemap>', `    <loc>https://www.example.com/sitemap-${i}.xml</loc>`, '  </sitemap>']),
+      '</sitemapindex>',
+      '',
+    ].join('\n'));
+    assert.ok((await load('sitemap-4.xml')).includes('<loc>https://www.example.com/drafts/secret</loc>'));
+
+    assert.deepStrictEqual(await update({ maxURLs: 2 }), { urls: 4, sitemaps: 2 });
+    const keys = async () => (await storage.list('foo-id/live/'))
+      .map(({ key }) => key)
+      .filter((key) => key.endsWith('.xml'))
+      .sort();
+    assert.deepStrictEqual(await keys(), [
+      'foo-id/live/sitemap-1.xml',
+      'foo-id/live/sitemap-2.xml',
+      'foo-id/live/sitemap.xml',
+    ]);
+
+    assert.deepStrictEqual(await update(), { urls: 4, sitemaps: 1 });
+    assert.deepStrictEqual(await keys(), ['foo-id/live/sitemap.xml']);
+  });
+
+  it('removes the parts of a sitemap created without state', async () => {
+    await storage.storeData('foo-id/live/sitemap-1.xml', Buffer.from(''), 'application/xml');
+    await storage.storeData('foo-id/live/sitemap-2.xml', Buffer.from(''), 'application/xml');
+    assert.deepStrictEqual(await update(), { urls: 4, sitemaps: 1 });
+    assert.ok(!await storage.head('foo-id/live/sitemap-1.xml'));
+    assert.ok(!await storage.head('foo-id/live/sitemap-2.xml'));
+  });
+});
@@ -0,0 +1,119 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const { getStatus } = require('../src/status.js');
+
+function createStorage(objects) {
+  return {
+    head: async (key) => objects[key] || null,
+  };
+}
+
+async function getState(objects) {
+  const { state } = await getStatus({
+    storage: createStorage(objects),
+    contentBusId: 'id',
+    path: '/index.md',
+  });
+  return state;
+}
+
+describe('Status Tests', () => {
+  it('reports an unpublished document', async () => {
+    const status = await getStatus({
+      storage: createStorage({
+        'id/preview/index.md': {
+          lastModified: new Date(1000),
+          metadata: { 'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT' },
+        },
+      }),
+      contentBusId: 'id',
+      path: '/index.md',
+    });
+    assert.deepStrictEqual(status, {
+      path: '/index.md',
+      preview: {
+        exists: true,
+        lastModified: new Date(1000),
+        sourceLastModified: 'Fri, 07 May 2021 18:03:19 GMT',
+      },
+      live: {
+        exists: false,
+      },
+      state: 'unpublished',
+    });
+  });
+
+  it('reports a tombstone as not existing', async () => {
+    const status = await getStatus({
+      storage: createStorage({
+        'id/preview/index.md': {
+          lastModified: new Date(3000),
+          metadata: { 'x-deleted': 'Sat, 08 May 2021 10:00:00 GMT' },
+        },
+        'id/live/index.md': {
+          lastModified: new Date(2000),
+          metadata: {},
+        },
+      }),
+      contentBusId: 'id',
+      path: '/index.md',
+    });
+    assert.deepStrictEqual(status.preview, { exists: false });
+    assert.strictEqual(status.state, 'published');
+  });
+
+  it('compares source last modified dates', async () => {
+    const live = {
+      lastModified: new Date(2000),
+      metadata: { 'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT' },
+    };
+    assert.strictEqual(await getState({
+      'id/preview/index.md': {
+        lastModified: new Date(3000),
+        metadata: { 'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT' },
+      },
+      'id/live/index.md': live,
+    }), 'published');
+    assert.strictEqual(await getState({
+      'id/preview/index.md': {
+        lastModified: new Date(3000),
+        metadata: { 'x-source-last-modified': 'Sat, 08 May 2021 10:00:00 GMT' },
+      },
+      'id/live/index.md': live,
+    }), 'modified-since-publish');
+  });
+
+  it('compares stored dates without source last modified dates', async () => {
+    const live = { lastModified: new Date(2000), metadata: {} };
+    assert.strictEqual(await getState({
+      'id/preview/index.md': { lastModified: new Date(1000), metadata: {} },
+      'id/live/index.md': live,
+    }), 'published');
+    assert.strictEqual(await getState({
+      'id/preview/index.md': { lastModified: new Date(3000), metadata: {} },
+      'id/live/index.md': live,
+    }), 'modified-since-publish');
+  });
+
+  it('reports a published document without preview', async () => {
+    assert.strictEqual(await getState({
+      'id/live/index.md': { lastModified: new Date(2000), metadata: {} },
+    }), 'published');
+  });
+});
@@ -15,28 +15,55 @@
 
 'use strict';
 
-process.env.HELIX_FETCH_FORCE_HTTP1 = 'true';
-
 const assert = require('assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const zlib = require('zlib');
 const proxyquire = require('proxyquire');
 
 const { condit } = require('@adobe/helix-testutils');
 const { Response } = require('@adobe/helix-universal');
 
-const { AWSStorage } = require('../src/storage.js');
+const { AWSStorage, createStorage } = require('../src/storage.js');
+const { FSStorage } = require('../src/fs-storage.js');
+
+class S3Client {
+  constructor(config) {
+    this.config = config;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  send(command) {
+    return command.run(this._storage);
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+
+  set storage(s) {
+    this._storage = s;
+  }
+}
+
+/**
+ * Multipart uploads in progress, keyed by upload id.
+ */
+const uploads = new Map();
+
+/**
+ * Number of the part whose upload fails.
+ */
+let failingPart;
+
+const s3ClientPool = proxyquire('../src/s3-client-pool.js', {
+  '@aws-sdk/client-s3': { S3Client },
+});
+const { S3ClientPool } = s3ClientPool;
 
 const { AWSStorage: AWSStorageProxy } = proxyquire('../src/storage.js', {
+  './s3-client-pool.js': s3ClientPool,
   '@aws-sdk/client-s3': {
-    S3Client: class {
-      // eslint-disable-next-line class-methods-use-this
-      send(command) {
-        return command.run(this._storage);
-      }
-
-      set storage(s) {
-        this._storage = s;
-      }
-    },
     HeadBucketCommand: class {
       constructor({ Bucket }) {
         this._bucket = Bucket;
@@ -67,9 +94,10 @@ const { AWSStorage: AWSStorageProxy } = proxyquire('../src/storage.js', {
       }
     },
     GetObjectCommand: class {
-      constructor({ Key, Bucket }) {
+      constructor({ Key, Bucket, IfNoneMatch }) {
         this._key = Key;
         this._bucket = Bucket;
+        this._ifNoneMatch = IfNoneMatch;
       }
 
       run(storage) {
@@ -85,6 +113,11 @@ const { AWSStorage: AWSStorageProxy } = proxyquire('../src/storage.js', {
           e.$metadata = { httpStatusCode: 404 };
           throw e;
         }
+        if (this._ifNoneMatch && this._ifNoneMatch === obj.ETag) {
+          const e = new Error('Not Modified');
+          e.$metadata = { httpStatusCode: 304 };
+          throw e;
+        }
         return obj;
       }
     },
@@ -119,19 +152,35 @@ const { AWSStorage: AWSStorageProxy } = proxyquire('../src/storage.js', {
         this._body = Body;
         this._encoding = ContentEncoding;
         this._metadata = Metadata;
+        this._middleware = [];
+        this.middlewareStack = {
+          add: (middleware) => this._middleware.push(middleware),
+        };
       }
 
-      run(storage) {
+      async run(storage) {
         const objs = storage.get(this._bucket);
         if (!objs) {
           const e = new Error();
           e.$metadata = { httpStatusCode: 404 };
           throw e;
         }
+        // apply the middleware to a request, to find the conditional headers
+        const request = { headers: {} };
+        await Promise.all(this._middleware
+          .map((middleware) => middleware(async () => {})({ request })));
+        const { 'if-match': ifMatch, 'if-none-match': ifNoneMatch } = request.headers;
+        const obj = objs.get(this._key);
+        if ((ifNoneMatch && obj) || (ifMatch && (!obj || obj.ETag !== ifMatch))) {
+          const e = new Error('At least one of the pre-conditions you specified did not hold');
+          e.$metadata = { httpStatusCode: 412 };
+          throw e;
+        }
         objs.set(this._key, {
           Body: this._body,
           ContentEncoding: this._encoding,
           Metadata: this._metadata,
+          ETag: `"${crypto.createHash('md5').update(this._body).digest('hex')}"`,
         });
       }
     },
@@ -163,11 +212,13 @@ const { AWSStorage: AWSStorageProxy } = proxyquire('../src/storage.js', {
     },
     CopyObjectCommand: class {
       constructor({
-        Bucket, Key, CopySource,
+        Bucket, Key, CopySource, MetadataDirective, Metadata,
       }) {
         this._bucket = Bucket;
         this._key = Key;
         this._copySource = CopySource;
+        this._metadataDirective = MetadataDirective;
+        this._metadata = Metadata;
       }
 
       run(storage) {
@@ -180,11 +231,111 @@ const { AWSStorage: AWSStorageProxy } = proxyquire('../src/storage.js', {
         }
         const obj = objs.get(src);
         if (!obj) {
-          const e = new Error('source does not exist');
+          const e = new Error('The specified key does not exist.');
+          e.Code = 'NoSuchKey';
           e.$metadata = { httpStatusCode: 404 };
           throw e;
         }
-        objs.set(this._key, obj);
+        if (this._metadataDirective === 'REPLACE') {
+          objs.set(this._key, { ...obj, Metadata: this._metadata });
+        } else {
+          objs.set(this._key, obj);
+        }
+      }
+    },
+    ListObjectsV2Command: class {
+      constructor({
+        Bucket, Prefix, MaxKeys, ContinuationToken,
+      }) {
+        this._bucket = Bucket;
+        this._prefix = Prefix;
+        this._maxKeys = MaxKeys;
+        this._token = ContinuationToken;
+      }
+
+      run(storage) {
+        // return pages of 2 objects by default, using the index of the next object as token
+        const keys = Array.from(storage.get(this._bucket).keys())
+          .filter((key) => key.startsWith(this._prefix))
+          .sort();
+        const start = Number(this._token || 0);
+        const next = start + (this._maxKeys || 2);
+        if (!keys.length) {
+          // S3 omits the contents of empty results
+          return { IsTruncated: false };
+        }
+        return {
+          Contents: keys.slice(start, next).map((key) => ({
+            Key: key,
+            Size: 4,
+            LastModified: new Date(0),
+          })),
+          IsTruncated: next < keys.length,
+          NextContinuationToken: next < keys.length ? String(next) : undefined,
+        };
+      }
+    },
+    DeleteObjectCommand: class {
+      constructor({ Bucket, Key }) {
+        this._bucket = Bucket;
+        this._key = Key;
+      }
+
+      run(storage) {
+        storage.get(this._bucket).delete(this._key);
+      }
+    },
+    CreateMultipartUploadCommand: class {
+      constructor(input) {
+        this._input = input;
+      }
+
+      run() {
+        const UploadId = String(uploads.size + 1);
+        uploads.set(UploadId, { ...this._input, parts: new Map() });
+        return { UploadId };
+      }
+    },
+    UploadPartCommand: class {
+      constructor({ UploadId, PartNumber, Body }) {
+        this._uploadId = UploadId;
+        this._partNumber = PartNumber;
+        this._body = Body;
+      }
+
+      run() {
+        if (this._partNumber === failingPart) {
+          throw new Error('upload failed');
+        }
+        const upload = uploads.get(this._uploadId);
+        upload.parts.set(this._partNumber, this._body);
+        return { ETag: `"${this._partNumber}"` };
+      }
+    },
+    CompleteMultipartUploadCommand: class {
+      constructor({ UploadId, MultipartUpload }) {
+        this._uploadId = UploadId;
+        this._parts = MultipartUpload.Parts;
+      }
+
+      run(storage) {
+        const upload = uploads.get(this._uploadId);
+        storage.get(upload.Bucket).set(upload.Key, {
+          Body: Buffer.concat(this._parts.map(({ PartNumber }) => upload.parts.get(PartNumber))),
+          ContentType: upload.ContentType,
+          ContentEncoding: upload.ContentEncoding,
+          Metadata: upload.Metadata,
+        });
+        upload.completed = true;
+      }
+    },
+    AbortMultipartUploadCommand: class {
+      constructor({ UploadId }) {
+        this._uploadId = UploadId;
+      }
+
+      run() {
+        uploads.get(this._uploadId).aborted = true;
       }
     },
   },
@@ -254,6 +405,291 @@ describe('Storage Tests', () => {
     assert.strictEqual(buf.toString(), 'body');
     const metadata = await storage.metadata('live/path');
     assert.strictEqual(metadata['x-source-last-modified'], 'Fri, 07 May 2021 18:03:19 GMT');
+
+    await storage.store('live/empty', new Response(null));
+    assert.strictEqual((await storage.load('live/empty')).toString(), '');
+    assert.strictEqual(metadata['x-content-hash'], '230d8358dc8e8890b4c58deeb62912ee2f20357ae92a5cc861b98e68fe31acb5');
+  });
+
+  it('store skips unchanged item', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', new Map());
+    storage.client.storage = memStorage;
+
+    assert.strictEqual(await storage.store('live/path', new Response('body')), true);
+    const stored = memStorage.get('bloop').get('live/path');
+    assert.strictEqual(await storage.store('live/path', new Response('body')), false);
+    assert.strictEqual(memStorage.get('bloop').get('live/path'), stored);
+    assert.strictEqual(await storage.store('live/path', new Response('other body')), true);
+    assert.notStrictEqual(memStorage.get('bloop').get('live/path'), stored);
+  });
+
+  it('store updates the metadata of an unchanged item', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', new Map());
+    storage.client.storage = memStorage;
+
+    const store = (lastModified) => storage.store('live/path', new Response('body', {
+      headers: { 'last-modified': lastModified },
+    }));
+    assert.strictEqual(await store('Fri, 07 May 2021 18:03:19 GMT'), true);
+    const stored = memStorage.get('bloop').get('live/path');
+    assert.strictEqual(await store('Sat, 08 May 2021 10:00:00 GMT'), false);
+    // the object was copied onto itself, keeping its body
+    assert.strictEqual(memStorage.get('bloop').get('live/path').Body, stored.Body);
+    const metadata = await storage.metadata('live/path');
+    assert.strictEqual(metadata['x-source-last-modified'], 'Sat, 08 May 2021 10:00:00 GMT');
+    assert.strictEqual(metadata['x-content-hash'], stored.Metadata['x-content-hash']);
+  });
+
+  it('store item with metadata S3 can\'t store as is', async () => {
+    const warnings = [];
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+      log: { info: () => {}, warn: (msg) => warnings.push(msg) },
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', new Map());
+    storage.client.storage = memStorage;
+
+    const store = (lastModified) => storage.store('live/path', new Response('body', {
+      status: 200,
+      headers: {
+        'last-modified': lastModified,
+        'x-source-location': `https://adobe.sharepoint.com/${'x'.repeat(2048)}`,
+      },
+    }));
+    await store('Fri, 07 May 2021 18:03:19 GMT');
+    const metadata = await storage.metadata('live/path');
+    assert.deepStrictEqual(Object.keys(metadata).sort(), ['x-content-hash', 'x-source-last-modified']);
+    assert.deepStrictEqual(warnings, [
+      'Metadata x-source-location of live/path dropped: exceeds the size limit of 2048 bytes',
+    ]);
+
+    // the dropped entry doesn't count as changed metadata
+    const stored = memStorage.get('bloop').get('live/path');
+    assert.strictEqual(await store('Fri, 07 May 2021 18:03:19 GMT'), false);
+    assert.strictEqual(memStorage.get('bloop').get('live/path'), stored);
+    assert.strictEqual(await store('Sat, 08 May 2021 10:00:00 GMT'), false);
+    assert.notStrictEqual(memStorage.get('bloop').get('live/path'), stored);
+    assert.deepStrictEqual(await storage.metadata('live/path'), {
+      ...metadata,
+      'x-source-last-modified': 'Sat, 08 May 2021 10:00:00 GMT',
+    });
+
+    await storage.storeData('live/data', 'body', 'text/plain', { title: 'Grüße aus Köln' });
+    assert.deepStrictEqual(memStorage.get('bloop').get('live/data').Metadata, {
+      title: '=?UTF-8?B?R3LDvMOfZSBhdXMgS8O2bG4=?=',
+    });
+    assert.deepStrictEqual(await storage.metadata('live/data'), { title: 'Grüße aus Köln' });
+
+    await storage.copy('live/data', 'preview/data', { foo: 'bar' });
+    assert.deepStrictEqual(await storage.metadata('preview/data'), { title: 'Grüße aus Köln', foo: 'bar' });
+  });
+
+  it('store item compressed depending on its content type', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+      brotli: true,
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', new Map());
+    storage.client.storage = memStorage;
+
+    await storage.store('live/index.html', new Response('<html></html>', {
+      headers: { 'content-type': 'text/html; charset=utf-8' },
+    }));
+    const html = memStorage.get('bloop').get('live/index.html');
+    assert.strictEqual(html.ContentEncoding, 'br');
+    assert.strictEqual(zlib.brotliDecompressSync(html.Body).toString(), '<html></html>');
+    assert.strictEqual((await storage.load('live/index.html')).toString(), '<html></html>');
+
+    await storage.store('live/image.png', new Response('png', {
+      headers: { 'content-type': 'image/png' },
+    }));
+    const png = memStorage.get('bloop').get('live/image.png');
+    assert.strictEqual(png.ContentEncoding, undefined);
+    assert.strictEqual(png.Body.toString(), 'png');
+    assert.strictEqual((await storage.load('live/image.png')).toString(), 'png');
+
+    await storage.store('live/data.bin', new Response(Buffer.from('data')));
+    assert.strictEqual(memStorage.get('bloop').get('live/data.bin').ContentEncoding, 'gzip');
+  });
+
+  it('store large item uncompressed in multiple parts', async () => {
+    const storage = new AWSStorageProxy({
+      bucket: 'bloop',
+      multipartThreshold: 64,
+      partSize: 1024,
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', new Map());
+    storage.client.storage = memStorage;
+    uploads.clear();
+
+    const body = crypto.randomBytes(4096);
+    const chunks = [0, 1, 2, 3, 4, 5, 6, 7].map((i) => body.slice(i * 512, (i + 1) * 512));
+    assert.strictEqual(await storage.store('live/video.mp4', new Response(Readable.from(chunks), {
+      headers: { 'content-type': 'video/mp4' },
+    })), true);
+    assert.strictEqual(uploads.get('1').parts.size, 4);
+    assert.strictEqual(memStorage.get('bloop').get('live/video.mp4').ContentEncoding, undefined);
+    assert.deepStrictEqual(await storage.load('live/video.mp4'), body);
+  });
+
+  it('store large item in multiple parts', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+      multipartThreshold: 64,
+      partSize: 20000,
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', new Map());
+    storage.client.storage = memStorage;
+    uploads.clear();
+
+    const body = crypto.randomBytes(32 * 1024).toString('hex');
+    const chunks = [body.substring(0, 1000), body.substring(1000)];
+    const response = () => new Response(Readable.from(chunks), {
+      headers: {
+        'content-type': 'text/plain',
+        'last-modified': 'Fri, 07 May 2021 18:03:19 GMT',
+      },
+    });
+
+    assert.strictEqual(await storage.store('live/large', response()), true);
+    const upload = uploads.get('1');
+    assert.strictEqual(upload.completed, true);
+    assert.ok(upload.parts.size > 1);
+    assert.strictEqual((await storage.load('live/large')).toString(), body);
+    const info = await storage.head('live/large');
+    assert.strictEqual(info.contentType, 'text/plain');
+    assert.deepStrictEqual(info.metadata, {
+      'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT',
+      'x-content-hash': crypto.createHash('sha256').update(body).digest('hex'),
+    });
+
+    assert.strictEqual(await storage.store('live/large', response()), false);
+    assert.strictEqual(uploads.get('2').aborted, true);
+    assert.strictEqual(uploads.get('2').completed, undefined);
+
+    // every compressed chunk makes up a part of its own
+    const storage2 = new AWSStorageProxy({
+      bucket: 'bloop',
+      multipartThreshold: 64,
+      partSize: 1,
+    });
+    storage2.client.storage = memStorage;
+    chunks.reverse();
+    assert.strictEqual(await storage2.store('live/large', response()), true);
+    assert.strictEqual(uploads.get('3').completed, true);
+    assert.strictEqual((await storage.load('live/large')).toString(), chunks.join(''));
+  });
+
+  it('store large item aborts the upload on errors', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+      multipartThreshold: 64,
+      partSize: 128,
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', new Map());
+    storage.client.storage = memStorage;
+    uploads.clear();
+
+    const failing = new Readable({ read() {} });
+    failing.push(Buffer.alloc(100));
+    process.nextTick(() => failing.destroy(new Error('connection lost')));
+    await assert.rejects(() => storage.store('live/large', new Response(failing)), /connection lost/);
+    assert.strictEqual(uploads.get('1').aborted, true);
+
+    failingPart = 1;
+    try {
+      await assert.rejects(() => storage.store('live/large', new Response(crypto.randomBytes(1024))), /upload failed/);
+    } finally {
+      failingPart = undefined;
+    }
+    assert.strictEqual(uploads.get('2').aborted, true);
+    assert.strictEqual(memStorage.get('bloop').has('live/large'), false);
+  });
+
+  it('store data to existing bucket', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', new Map());
+    storage.client.storage = memStorage;
+
+    await storage.storeData('.hlx.json', Buffer.from('{}'), 'application/json', { foo: 'bar' });
+    assert.strictEqual((await storage.load('.hlx.json')).toString(), '{}');
+    assert.deepStrictEqual(await storage.metadata('.hlx.json'), { foo: 'bar' });
+  });
+
+  it('store data unless it changed since it was loaded', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', new Map());
+    storage.client.storage = memStorage;
+
+    assert.strictEqual(await storage.storeDataIfMatch('.hlx.json', Buffer.from('{}'), 'application/json', {}, null), true);
+    assert.strictEqual(await storage.storeDataIfMatch('.hlx.json', Buffer.from('{ "a": 1 }'), 'application/json', {}, null), false);
+    const { etag } = await storage.loadIfModified('.hlx.json');
+    assert.strictEqual(await storage.storeDataIfMatch('.hlx.json', Buffer.from('{ "a": 2 }'), 'application/json', {}, etag), true);
+    assert.strictEqual(await storage.storeDataIfMatch('.hlx.json', Buffer.from('{ "a": 3 }'), 'application/json', {}, etag), false);
+    assert.strictEqual((await storage.load('.hlx.json')).toString(), '{ "a": 2 }');
+  });
+
+  it('store data conditionally returns errors correctly', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+    });
+    storage.client.storage = new Map();
+    await assert.rejects(() => storage.storeDataIfMatch('.hlx.json', Buffer.from('{}'), 'application/json', {}, null));
+
+    const readOnly = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+      readOnly: true,
+    });
+    await assert.rejects(() => readOnly.storeDataIfMatch('.hlx.json', Buffer.from('{}'), 'application/json', {}, null), Error('Storage is read-only: bloop'));
   });
 
   it('store returns errors correctly', async () => {
@@ -265,6 +701,7 @@ describe('Storage Tests', () => {
     });
     const memStorage = new Map();
     memStorage.set('bloop', {
+      get: () => undefined,
       set: () => {
         const e = new Error('access denied');
         e.$metadata = { httpStatusCode: 403 };
@@ -297,6 +734,57 @@ describe('Storage Tests', () => {
     assert.strictEqual(buf.toString(), 'body');
   });
 
+  it('load existing item as a stream', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+      readOnly: true,
+    });
+    const bucket = new Map();
+    bucket.set('live/zipped', {
+      Body: Readable.from([zlib.gzipSync('zipped body')]),
+      ContentEncoding: 'gzip',
+    });
+    bucket.set('live/brotli', {
+      Body: Readable.from([zlib.brotliCompressSync('brotli body')]),
+      ContentEncoding: 'br',
+    });
+    bucket.set('live/plain', { Body: Readable.from(['plain body']) });
+    const memStorage = new Map();
+    memStorage.set('bloop', bucket);
+    storage.client.storage = memStorage;
+
+    const read = async (stream) => (await new Response(stream).buffer()).toString();
+    assert.strictEqual(await read(await storage.loadStream('live/zipped')), 'zipped body');
+    assert.strictEqual(await read(await storage.loadStream('live/brotli')), 'brotli body');
+    assert.strictEqual(await read(await storage.loadStream('live/plain')), 'plain body');
+    assert.strictEqual(await storage.loadStream('live/missing'), null);
+  });
+
+  it('load existing item unless it was not modified', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+      readOnly: true,
+    });
+    const bucket = new Map();
+    bucket.set('live/path', { Body: 'body', ETag: '"etag"' });
+    const memStorage = new Map();
+    memStorage.set('bloop', bucket);
+    storage.client.storage = memStorage;
+
+    const { data, etag } = await storage.loadIfModified('live/path');
+    assert.strictEqual(data.toString(), 'body');
+    assert.strictEqual(etag, '"etag"');
+    assert.strictEqual((await storage.loadIfModified('live/path', '"other"')).data.toString(), 'body');
+    assert.deepStrictEqual(await storage.loadIfModified('live/path', '"etag"'), { etag: '"etag"' });
+    assert.strictEqual(await storage.loadIfModified('live/missing', '"etag"'), null);
+  });
+
   it('load existing item\'s metadata from read-only storage', async () => {
     const storage = new AWSStorageProxy({
       AWS_S3_REGION: 'foo',
@@ -372,6 +860,40 @@ describe('Storage Tests', () => {
     assert.notStrictEqual(bucket.get('live/path'), null);
   });
 
+  it('copy existing item with additional metadata', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+    });
+    const bucket = new Map();
+    bucket.set('preview/path', { Body: 'body', Metadata: { foo: 'bar' } });
+    const memStorage = new Map();
+    memStorage.set('bloop', bucket);
+    storage.client.storage = memStorage;
+
+    await storage.copy('preview/path', 'live/path', { baz: 'qux' });
+    assert.deepStrictEqual(await storage.metadata('live/path'), { foo: 'bar', baz: 'qux' });
+    assert.deepStrictEqual(await storage.metadata('preview/path'), { foo: 'bar' });
+  });
+
+  it('copy non-existing item with additional metadata', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', new Map());
+    storage.client.storage = memStorage;
+
+    await assert.rejects(async () => storage.copy(
+      'preview/path', 'live/path', { baz: 'qux' },
+    ), { message: 'source does not exist: preview/path', status: 404 });
+  });
+
   it('copy non-existing item', async () => {
     const storage = new AWSStorageProxy({
       AWS_S3_REGION: 'foo',
@@ -386,7 +908,127 @@ describe('Storage Tests', () => {
 
     await assert.rejects(async () => storage.copy(
       'preview/path', 'live/path',
-    ), { message: 'source does not exist' });
+    ), { message: 'source does not exist: preview/path', status: 404 });
+  });
+
+  it('remove existing item', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+    });
+    const bucket = new Map();
+    bucket.set('live/path', { Body: 'body', Metadata: {} });
+    const memStorage = new Map();
+    memStorage.set('bloop', bucket);
+    storage.client.storage = memStorage;
+
+    await storage.remove('live/path');
+    assert.strictEqual(bucket.has('live/path'), false);
+  });
+
+  it('remove non-existing item', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', new Map());
+    storage.client.storage = memStorage;
+
+    await assert.rejects(async () => storage.remove('live/path'), {
+      message: 'object does not exist: live/path',
+      status: 404,
+    });
+  });
+
+  it('remove item from read-only storage', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+      readOnly: true,
+    });
+    await assert.rejects(() => storage.remove('live/path'), Error('Storage is read-only: bloop'));
+  });
+
+  it('list items following continuation tokens', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+    });
+    const bucket = new Map();
+    ['preview/a', 'preview/b/c', 'preview/b/d', 'preview/e', 'preview/f', 'live/a'].forEach((key) => {
+      bucket.set(key, { Body: 'body' });
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', bucket);
+    storage.client.storage = memStorage;
+
+    const objects = await storage.list('preview/');
+    assert.deepStrictEqual(objects.map(({ key }) => key), [
+      'preview/a', 'preview/b/c', 'preview/b/d', 'preview/e', 'preview/f',
+    ]);
+    assert.deepStrictEqual(objects[0], { key: 'preview/a', size: 4, lastModified: new Date(0) });
+    assert.deepStrictEqual(await storage.list('other/'), []);
+  });
+
+  it('list a page of items', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+    });
+    const bucket = new Map();
+    ['preview/a', 'preview/b', 'preview/c', 'preview/d'].forEach((key) => {
+      bucket.set(key, { Body: 'body' });
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', bucket);
+    storage.client.storage = memStorage;
+
+    let page = await storage.listPage('preview/', { limit: 3 });
+    assert.deepStrictEqual(page.objects.map(({ key }) => key), ['preview/a', 'preview/b', 'preview/c']);
+    page = await storage.listPage('preview/', { limit: 3, token: page.next });
+    assert.deepStrictEqual(page.objects.map(({ key }) => key), ['preview/d']);
+    assert.strictEqual(page.next, undefined);
+    assert.deepStrictEqual(await storage.listPage('other/'), { objects: [], next: undefined });
+  });
+
+  it('load existing item\'s properties', async () => {
+    const storage = new AWSStorageProxy({
+      AWS_S3_REGION: 'foo',
+      AWS_S3_ACCESS_KEY_ID: 'bar',
+      AWS_S3_SECRET_ACCESS_KEY: 'baz',
+      bucket: 'bloop',
+      readOnly: true,
+    });
+    const bucket = new Map();
+    bucket.set('live/path', {
+      ContentType: 'text/markdown',
+      ContentEncoding: 'gzip',
+      ContentLength: 4,
+      LastModified: new Date(0),
+      Metadata: { 'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT' },
+    });
+    const memStorage = new Map();
+    memStorage.set('bloop', bucket);
+    storage.client.storage = memStorage;
+
+    assert.deepStrictEqual(await storage.head('live/path'), {
+      contentType: 'text/markdown',
+      contentEncoding: 'gzip',
+      size: 4,
+      lastModified: new Date(0),
+      metadata: { 'x-source-last-modified': 'Fri, 07 May 2021 18:03:19 GMT' },
+    });
   });
 
   it('copy item to read-only storage', async () => {
@@ -403,6 +1045,75 @@ describe('Storage Tests', () => {
   });
 });
 
+describe('S3 Client Pool Tests', () => {
+  const credentials = {
+    AWS_S3_REGION: 'foo',
+    AWS_S3_ACCESS_KEY_ID: 'bar',
+    AWS_S3_SECRET_ACCESS_KEY: 'baz',
+  };
+
+  it('reuses clients with the same region and credentials', async () => {
+    const pool = new S3ClientPool();
+    const storage1 = new AWSStorageProxy({ ...credentials, bucket: 'bloop', pool });
+    storage1.close();
+    assert.strictEqual(storage1.client.destroyed, undefined);
+
+    const storage2 = new AWSStorageProxy({ ...credentials, bucket: 'blap', pool });
+    assert.strictEqual(storage2.client, storage1.client);
+    assert.strictEqual(pool.size, 1);
+
+    const storage3 = new AWSStorageProxy({
+      ...credentials, AWS_S3_REGION: 'qux', bucket: 'bloop', pool,
+    });
+    assert.notStrictEqual(storage3.client, storage1.client);
+    assert.strictEqual(storage3.client.config.region, 'qux');
+    const storage4 = new AWSStorageProxy({ bucket: 'bloop', pool });
+    assert.strictEqual(storage4.client.config, undefined);
+    assert.strictEqual(pool.size, 3);
+  });
+
+  it('destroys pooled clients on request', async () => {
+    const pool = new S3ClientPool();
+    const storage1 = new AWSStorageProxy({ ...credentials, bucket: 'bloop', pool });
+    storage1.close({ destroy: true });
+    assert.strictEqual(storage1.client.destroyed, true);
+    assert.strictEqual(pool.size, 0);
+
+    const storage2 = new AWSStorageProxy({ ...credentials, bucket: 'bloop', pool });
+    assert.notStrictEqual(storage2.client, storage1.client);
+    pool.destroy();
+    assert.strictEqual(storage2.client.destroyed, true);
+    assert.strictEqual(pool.size, 0);
+  });
+
+  it('destroys clients not borrowed from a pool', async () => {
+    const storage = new AWSStorageProxy({ ...credentials, bucket: 'bloop' });
+    storage.close();
+    assert.strictEqual(storage.client.destroyed, true);
+  });
+});
+
+describe('Storage Factory Tests', () => {
+  it('creates AWS storage by default', async () => {
+    const storage = createStorage({}, { bucket: 'bloop' });
+    assert.ok(storage instanceof AWSStorage);
+    assert.strictEqual(createStorage({}, { bucket: 'blap' }).client, storage.client);
+    storage.close({ destroy: true });
+  });
+
+  it('creates file system storage', async () => {
+    const storage = createStorage({
+      STORAGE_TYPE: 'fs',
+      STORAGE_ROOT: '/tmp',
+    }, { bucket: 'bloop' });
+    assert.ok(storage instanceof FSStorage);
+  });
+
+  it('throws for an unknown storage type', async () => {
+    assert.throws(() => createStorage({ STORAGE_TYPE: 'floppy' }, { bucket: 'bloop' }), /Storage type unknown: floppy/);
+  });
+});
+
 describe.skip('Live Storage Tests', () => {
   condit('Read from code bus', condit.hasenvs(['AWS_S3_REGION', 'AWS_S3_ACCESS_KEY_ID', 'AWS_S3_SECRET_ACCESS_KEY']), async () => {
     const storage = new AWSStorage({
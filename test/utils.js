@@ -12,12 +12,16 @@
 
 'use strict';
 
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
 const path = require('path');
 const querystring = require('querystring');
 const NodeHttpAdapter = require('@pollyjs/adapter-node-http');
 const FSPersister = require('@pollyjs/persister-fs');
 const { setupMocha } = require('@pollyjs/core');
 const { Request } = require('@adobe/helix-fetch');
+const { FSStorage } = require('../src/fs-storage.js');
 
 function setupPolly(opts) {
   setupMocha({
@@ -46,13 +50,14 @@ function retrofit(fn) {
       return new URL(`https://adobeioruntime.net/api/v1/web/helix/${pkg}/${name}@${version}`);
     },
   };
-  return async (params = {}, env = {}, post = false) => {
+  return async (params = {}, env = {}, post = false, headers = {}) => {
     const req = post
       ? new Request('https://helix-service.com/publish', {
         method: 'POST',
         body: params,
+        headers,
       })
-      : new Request(`https://helix-service.com/publish?${querystring.encode(params)}`);
+      : new Request(`https://helix-service.com/publish?${querystring.encode(params)}`, { headers });
     const context = {
       resolver,
       env,
@@ -68,4 +73,49 @@ function retrofit(fn) {
   };
 }
 
-module.exports = { setupPolly, retrofit };
+/**
+ * Local stand-in for an endpoint receiving JSON, like a purge endpoint or a webhook,
+ * replying with a list of status codes in turn and recording the requests it receives.
+ */
+function createReceiver(statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, raw: body, body: JSON.parse(body) });
+      const status = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.writeHead(status, { 'content-type': 'text/plain' });
+      res.end(String(status));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}/`,
+        requests,
+        close: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
+
+/**
+ * Temporary directory of a file system storage, with the `storage` of the content bus
+ * in it. `remove` deletes the directory with everything stored.
+ */
+async function createTempStorage(name) {
+  const root = await fs.mkdtemp(path.resolve(os.tmpdir(), `${name}-`));
+  return {
+    root,
+    storage: new FSStorage({ root, bucket: 'helix-content-bus' }),
+    remove: () => fs.rm(root, { recursive: true }),
+  };
+}
+
+module.exports = {
+  setupPolly, retrofit, createReceiver, createTempStorage,
+};
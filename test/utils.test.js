@@ -15,7 +15,10 @@
 'use strict';
 
 const assert = require('assert');
-const { getFetchOptions, escapeTagValue } = require('../src/utils');
+const {
+  getFetchOptions, escapeTagValue, processQueue, getRetryPolicy, getBackoff, signPayload,
+  getWebPath, updateJSON, compareBy,
+} = require('../src/utils');
 
 describe('Utils unit tests', () => {
   it('Creates fetch options correctly', () => {
@@ -38,6 +41,14 @@ describe('Utils unit tests', () => {
     });
   });
 
+  it('Creates fetch options without timeout', () => {
+    assert.deepStrictEqual(getFetchOptions({ token: 'foobar' }), {
+      headers: {
+        'x-github-token': 'foobar',
+      },
+    });
+  });
+
   it('Escape tag value', () => {
     let escaped = escapeTagValue('https://example.sharepoint.com/sites/Site/Shared%20Documents/project');
     assert.strictEqual(escaped, 'https://example.sharepoint.com/sites/Site/Shared Documents/project');
@@ -51,4 +62,101 @@ describe('Utils unit tests', () => {
     escaped = escapeTagValue('!@#$%^&*()_+-=[]{};\':"\\|,.<>/?');
     assert.strictEqual(escaped, '_@_________+-=______:____.__/_');
   });
+
+  it('Processes a queue with bounded concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await processQueue([30, 10, 20, 0, 5], 2, async (item) => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, item));
+      running -= 1;
+      return item * 2;
+    });
+    assert.deepStrictEqual(results, [60, 20, 40, 0, 10]);
+    assert.strictEqual(maxRunning, 2);
+  });
+
+  it('Processes an empty queue', async () => {
+    assert.deepStrictEqual(await processQueue([], 4, async () => {}), []);
+  });
+
+  it('Returns the retry policy, ignoring invalid values', () => {
+    assert.deepStrictEqual(getRetryPolicy(), { attempts: 3, delay: 250, budget: 30000 });
+    assert.deepStrictEqual(getRetryPolicy({ attempts: '5', delay: '', budget: -1 }), {
+      attempts: 5,
+      delay: 250,
+      budget: 30000,
+    });
+    assert.deepStrictEqual(getRetryPolicy({ attempts: 'many', delay: 0 }), {
+      attempts: 3,
+      delay: 0,
+      budget: 30000,
+    });
+    const defaults = { attempts: 2, delay: 250, budget: 5000 };
+    assert.deepStrictEqual(getRetryPolicy({ delay: 0 }, defaults), {
+      attempts: 2,
+      delay: 0,
+      budget: 5000,
+    });
+  });
+
+  it('Doubles the backoff with every attempt', () => {
+    for (let attempt = 1; attempt <= 4; attempt += 1) {
+      const backoff = 100 * (2 ** (attempt - 1));
+      const wait = getBackoff(100, attempt);
+      assert.ok(wait > backoff / 2 - 1 && wait <= backoff, `${wait} not within backoff ${backoff}`);
+    }
+  });
+
+  it('sorts objects by a property', () => {
+    const objects = [{ key: 'b' }, { key: 'c' }, { key: 'a' }, { key: 'b' }];
+    assert.deepStrictEqual(objects.sort(compareBy('key')).map(({ key }) => key), ['a', 'b', 'b', 'c']);
+  });
+
+  it('signs payloads with HMAC-SHA256', () => {
+    // RFC 4231, test case 2
+    assert.strictEqual(
+      signPayload('what do ya want for nothing?', 'Jefe'),
+      'sha256=5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843',
+    );
+  });
+
+  it('returns the web path of a document', () => {
+    assert.strictEqual(getWebPath('/index.md'), '/');
+    assert.strictEqual(getWebPath('/blog/index.md'), '/blog/');
+    assert.strictEqual(getWebPath('/blog/first.md'), '/blog/first');
+    assert.strictEqual(getWebPath('/media/image.png'), '/media/image.png');
+  });
+
+  it('updates stored JSON objects with conditional writes', async () => {
+    // in-memory storage whose object is modified by another writer a number of times
+    let stored = null;
+    let conflicts = 0;
+    const storage = {
+      loadIfModified: async () => stored && { data: Buffer.from(stored.data), etag: stored.etag },
+      storeDataIfMatch: async (key, data, contentType, meta, etag) => {
+        if (conflicts > 0) {
+          conflicts -= 1;
+          return false;
+        }
+        assert.strictEqual(etag, stored ? stored.etag : null);
+        stored = { data: data.toString(), etag: `"${Date.now()}-${Math.random()}"` };
+        return true;
+      },
+    };
+    const increment = (obj) => ({ count: ((obj && obj.count) || 0) + 1 });
+
+    assert.deepStrictEqual(await updateJSON(storage, 'key', increment), { count: 1 });
+    conflicts = 2;
+    assert.deepStrictEqual(await updateJSON(storage, 'key', increment, { delay: 0 }), { count: 2 });
+    assert.deepStrictEqual(await updateJSON(storage, 'key', () => null), { count: 2 });
+
+    conflicts = 3;
+    await assert.rejects(() => updateJSON(storage, 'key', increment, { attempts: 3, delay: 0 }), {
+      status: 409,
+      message: 'unable to update key: modified concurrently',
+    });
+    assert.deepStrictEqual(JSON.parse(stored.data), { count: 2 });
+  });
 });
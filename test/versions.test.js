@@ -0,0 +1,61 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const { VERSION_PATTERN, listVersions } = require('../src/versions.js');
+
+describe('Versions Tests', () => {
+  it('accepts only version ids', () => {
+    assert.ok(VERSION_PATTERN.test('2021-05-07T180319.123Z'));
+    assert.ok(!VERSION_PATTERN.test('2021-05-07T18:03:19.123Z'));
+    assert.ok(!VERSION_PATTERN.test('../live/index.md'));
+  });
+
+  it('lists versions removed while listing', async () => {
+    const storage = {
+      list: async () => [
+        { key: 'id/.versions/index.md/2021-05-07T180319.123Z', size: 4 },
+        { key: 'id/.versions/index.md/2021-05-08T180319.123Z', size: 5 },
+      ],
+      head: async (key) => (key.includes('05-08') ? { metadata: { 'x-published-by': 'bob' } } : null),
+    };
+    const result = await listVersions({
+      storage,
+      contentBusId: 'id',
+      path: '/index.md',
+      concurrency: 2,
+    });
+    assert.deepStrictEqual(result, {
+      path: '/index.md',
+      versions: [{
+        version: '2021-05-08T180319.123Z',
+        size: 5,
+        sourceLastModified: undefined,
+        publishedAt: undefined,
+        publishedBy: 'bob',
+        publisher: undefined,
+      }, {
+        version: '2021-05-07T180319.123Z',
+        size: 4,
+        sourceLastModified: undefined,
+        publishedAt: undefined,
+        publishedBy: undefined,
+        publisher: undefined,
+      }],
+    });
+  });
+});
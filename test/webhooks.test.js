@@ -0,0 +1,88 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const { parseWebhookURLs, deliverEvent } = require('../src/webhooks.js');
+const { signPayload } = require('../src/utils.js');
+const { createReceiver } = require('./utils.js');
+
+describe('Webhooks Tests', () => {
+  const event = {
+    action: 'publish',
+    owner: 'owner',
+    repo: 'repo',
+    ref: 'main',
+    path: '/index.md',
+    contentBusId: 'foo-id',
+    key: 'foo-id/live/index.md',
+    changed: true,
+    timestamp: '2021-05-07T18:03:19.000Z',
+    sourceLastModified: null,
+  };
+
+  let receivers = [];
+
+  afterEach(async () => {
+    await Promise.all(receivers.map((receiver) => receiver.close()));
+    receivers = [];
+  });
+
+  it('parses a list of webhook URLs', () => {
+    assert.deepStrictEqual(parseWebhookURLs(), []);
+    assert.deepStrictEqual(parseWebhookURLs(' https://a.example.com/hook, ,https://b.example.com/hook,'), [
+      'https://a.example.com/hook',
+      'https://b.example.com/hook',
+    ]);
+  });
+
+  it('delivers signed events to every webhook', async () => {
+    receivers = await Promise.all([createReceiver(), createReceiver([503, 204])]);
+    const outcomes = await deliverEvent({
+      urls: receivers.map(({ url }) => url),
+      secret: 'secret',
+      event,
+      retry: { delay: 0 },
+      log: console,
+    });
+    assert.deepStrictEqual(outcomes, [
+      { url: receivers[0].url, status: 'ok', attempts: 1 },
+      { url: receivers[1].url, status: 'ok', attempts: 2 },
+    ]);
+    receivers.forEach(({ requests }) => {
+      const { headers, raw, body } = requests[requests.length - 1];
+      assert.deepStrictEqual(body, event);
+      assert.strictEqual(headers['x-hlx-event'], 'publish');
+      assert.strictEqual(headers['x-hlx-signature'], signPayload(raw, 'secret'));
+    });
+  });
+
+  it('reports failed deliveries', async () => {
+    receivers = [await createReceiver([410])];
+    const outcomes = await deliverEvent({
+      urls: [receivers[0].url],
+      secret: 'secret',
+      event,
+      retry: { delay: 0 },
+      log: console,
+    });
+    assert.deepStrictEqual(outcomes, [
+      {
+        url: receivers[0].url, status: 'failed', attempts: 1, error: 'status 410',
+      },
+    ]);
+  });
+});